@@ -22,7 +22,8 @@ console.log(`Quality:  ${result.quality} (threshold: 0.70)`);
 console.log(`Escalated: ${result.escalated}`);
 console.log(`Responses: ${result.responses.length}`);
 console.log(`Timing:   primary=${result.timing.primary}ms, gate=${result.timing.gate}ms, escalation=${result.timing.escalation}ms, total=${result.timing.total}ms`);
-console.log(`Tokens:   ${JSON.stringify(result.usage)}`);
+console.log(`Tokens:   ${result.usage.total_tokens} ${JSON.stringify(result.usage.tiers)}`);
+console.log(`Cost:     $${result.cost.total ?? "?"} (wasted: $${result.cost.wasted ?? "?"})${result.budgetExhausted ? " (budget exhausted)" : ""}`);
 
 if (result.issues.length > 0) {
   console.log(`\nIssues (${result.issues.length}):`);
@@ -0,0 +1,95 @@
+/**
+ * Calibration — is the probability distribution across variants plausible?
+ *
+ * "Sum ≤ 1.0" lets a lot through: five variants all at 0.10, one variant
+ * at 0.9 and the rest at 0.01, or probabilities that rank the variants in
+ * the opposite order to their own totals. This module looks for:
+ *   - degenerate distributions (all equal, one dominating, all at the cap)
+ *   - ordering against the variants' totals (Kendall rank correlation)
+ * and summarises the distribution as Shannon entropy.
+ *
+ * Usage:
+ *   const { entropy, degenerate, correlation } = analyzeProbabilities(probabilities, { totals, cap: 0.1 });
+ */
+
+/**
+ * @typedef {Object} CalibrationReport
+ * @property {number|null} entropy - Shannon entropy in bits of the normalised distribution
+ * @property {number|null} normalizedEntropy - entropy / log2(n), 1.0 = uniform
+ * @property {Array<{kind: "all_equal"|"dominant"|"all_at_cap", message: string, index?: number}>} degenerate
+ * @property {number|null} correlation - Kendall tau-b between probabilities and totals (null when not measurable)
+ */
+
+/**
+ * Analyse a probability distribution over response variants.
+ *
+ * @param {number[]} probabilities
+ * @param {Object} [options]
+ * @param {Array<number|null>} [options.totals] - Each variant's own total score, aligned with probabilities
+ * @param {number} [options.cap] - Per-variant maximum; every variant sitting on it is degenerate
+ * @param {number} [options.dominance] - Share of the total mass that counts as one variant dominating (default 0.5)
+ * @returns {CalibrationReport}
+ */
+export function analyzeProbabilities(probabilities, options = {}) {
+  const { totals = [], cap = null, dominance = 0.5 } = options;
+  const inRange = p => Number.isFinite(p) && p >= 0 && p <= 1;
+  const valid = probabilities.filter(inRange);
+  const mass = valid.reduce((sum, p) => sum + p, 0);
+  const report = { entropy: null, normalizedEntropy: null, degenerate: [], correlation: null };
+
+  if (valid.length === 0 || mass === 0) return report;
+
+  const entropy = -valid.reduce((h, p) => (p > 0 ? h + (p / mass) * Math.log2(p / mass) : h), 0);
+  report.entropy = round(entropy);
+  report.normalizedEntropy = valid.length > 1 ? round(entropy / Math.log2(valid.length)) : null;
+
+  // Degenerate shapes only mean something across several variants
+  if (valid.length === probabilities.length && valid.length >= 3) {
+    const max = Math.max(...valid);
+    if (cap !== null && valid.every(p => p === cap)) {
+      report.degenerate.push({ kind: "all_at_cap", message: `all ${valid.length} probabilities at the ${cap} cap` });
+    } else if (valid.every(p => p === valid[0])) {
+      report.degenerate.push({ kind: "all_equal", message: `all ${valid.length} probabilities equal ${valid[0]}` });
+    } else if (max / mass > dominance) {
+      const index = valid.indexOf(max);
+      report.degenerate.push({ kind: "dominant", index, message: `response ${index} holds ${Math.round(max / mass * 100)}% of the probability mass` });
+    }
+  }
+
+  // Rank agreement between what the model believes and what it scored
+  const paired = probabilities
+    .map((p, i) => [p, totals[i]])
+    .filter(([p, t]) => inRange(p) && Number.isFinite(t));
+  if (paired.length >= 3) report.correlation = kendallTau(paired);
+
+  return report;
+}
+
+/**
+ * Kendall tau-b over [x, y] pairs; null when either side has no variation.
+ */
+function kendallTau(pairs) {
+  let concordant = 0;
+  let discordant = 0;
+  let tiesX = 0;
+  let tiesY = 0;
+
+  for (let i = 0; i < pairs.length; i++) {
+    for (let j = i + 1; j < pairs.length; j++) {
+      const dx = Math.sign(pairs[i][0] - pairs[j][0]);
+      const dy = Math.sign(pairs[i][1] - pairs[j][1]);
+      if (dx === 0 && dy === 0) continue;
+      if (dx === 0) tiesX++;
+      else if (dy === 0) tiesY++;
+      else if (dx === dy) concordant++;
+      else discordant++;
+    }
+  }
+
+  const denominator = Math.sqrt((concordant + discordant + tiesX) * (concordant + discordant + tiesY));
+  return denominator === 0 || concordant + discordant === 0 ? null : round((concordant - discordant) / denominator);
+}
+
+function round(value) {
+  return parseFloat(value.toFixed(3));
+}
@@ -0,0 +1,45 @@
+/**
+ * Calibration unit tests.
+ * Run: node --test src/calibration.test.mjs
+ */
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { analyzeProbabilities } from "./calibration.mjs";
+
+describe("analyzeProbabilities", () => {
+  it("reports entropy of the normalised distribution", () => {
+    const report = analyzeProbabilities([0.1, 0.1, 0.05, 0.05]);
+    assert.equal(report.entropy, 1.918);
+    assert.equal(report.normalizedEntropy, 0.959);
+  });
+
+  it("flags every variant sitting on the cap", () => {
+    const report = analyzeProbabilities([0.1, 0.1, 0.1], { cap: 0.1 });
+    assert.deepEqual(report.degenerate.map(d => d.kind), ["all_at_cap"]);
+    assert.equal(report.normalizedEntropy, 1);
+  });
+
+  it("flags identical probabilities below the cap", () => {
+    assert.deepEqual(analyzeProbabilities([0.05, 0.05, 0.05], { cap: 0.1 }).degenerate.map(d => d.kind), ["all_equal"]);
+  });
+
+  it("flags one variant holding most of the mass", () => {
+    const [shape] = analyzeProbabilities([0.01, 0.6, 0.02, 0.01]).degenerate;
+    assert.equal(shape.kind, "dominant");
+    assert.equal(shape.index, 1);
+    assert.equal(analyzeProbabilities([0.01, 0.6, 0.02, 0.01], { dominance: 0.95 }).degenerate.length, 0);
+  });
+
+  it("leaves small or out-of-range sets alone", () => {
+    assert.deepEqual(analyzeProbabilities([0.1, 0.1]).degenerate, []);
+    assert.deepEqual(analyzeProbabilities([0.1, 1.5, 0.02]).degenerate, []);
+    assert.equal(analyzeProbabilities([0, 0, 0]).entropy, null);
+  });
+
+  it("measures rank agreement with the variants' totals", () => {
+    assert.equal(analyzeProbabilities([0.02, 0.05, 0.09], { totals: [60, 70, 85] }).correlation, 1);
+    assert.equal(analyzeProbabilities([0.09, 0.05, 0.02], { totals: [60, 70, 85] }).correlation, -1);
+    assert.equal(analyzeProbabilities([0.05, 0.05, 0.05], { totals: [60, 70, 85] }).correlation, null);
+    assert.equal(analyzeProbabilities([0.02, 0.05, 0.09], { totals: [60, null, 85] }).correlation, null);
+  });
+});
@@ -0,0 +1,81 @@
+/**
+ * Diversity — pairwise similarity across response variants.
+ *
+ * Each text is lowercased, split into word tokens and turned into a set of
+ * overlapping n-word shingles; two texts are compared by the Jaccard index
+ * of their shingle sets. Texts shorter than one shingle fall back to single
+ * words. Diversity is 1 minus the mean pairwise similarity, and any pair at
+ * or above the threshold is reported as a near-duplicate.
+ *
+ * Usage:
+ *   const { score, pairs, duplicates } = measureDiversity(responses.map(r => r.text));
+ */
+
+/**
+ * @typedef {Object} SimilarityPair
+ * @property {number} a - Index of the first text
+ * @property {number} b - Index of the second text
+ * @property {number} similarity - Jaccard index 0.0–1.0
+ */
+
+/**
+ * Shingle a text into overlapping n-word sequences.
+ *
+ * @param {string} text
+ * @param {number} [size] - Words per shingle (default 3)
+ * @returns {Set<string>}
+ */
+export function shingle(text, size = 3) {
+  const words = text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  if (words.length < size) return new Set(words);
+
+  const shingles = new Set();
+  for (let i = 0; i <= words.length - size; i++) {
+    shingles.add(words.slice(i, i + size).join(" "));
+  }
+  return shingles;
+}
+
+/**
+ * Jaccard index of two sets (two empty sets are identical).
+ *
+ * @param {Set<string>} a
+ * @param {Set<string>} b
+ * @returns {number}
+ */
+export function jaccard(a, b) {
+  if (a.size === 0 && b.size === 0) return 1;
+  let shared = 0;
+  for (const item of a) if (b.has(item)) shared++;
+  return shared / (a.size + b.size - shared);
+}
+
+/**
+ * Measure how different a set of texts are from one another.
+ *
+ * @param {string[]} texts
+ * @param {Object} [options]
+ * @param {number} [options.shingleSize] - Words per shingle (default 3)
+ * @param {number} [options.threshold] - Similarity at which a pair counts as a near-duplicate (default 0.8)
+ * @returns {{score: number|null, pairs: SimilarityPair[], duplicates: SimilarityPair[]}} score is null for fewer than two texts
+ */
+export function measureDiversity(texts, options = {}) {
+  const { shingleSize = 3, threshold = 0.8 } = options;
+  const sets = texts.map(text => shingle(text, shingleSize));
+  const pairs = [];
+
+  for (let a = 0; a < sets.length; a++) {
+    for (let b = a + 1; b < sets.length; b++) {
+      pairs.push({ a, b, similarity: parseFloat(jaccard(sets[a], sets[b]).toFixed(3)) });
+    }
+  }
+
+  if (pairs.length === 0) return { score: null, pairs, duplicates: [] };
+
+  const mean = pairs.reduce((sum, p) => sum + p.similarity, 0) / pairs.length;
+  return {
+    score: parseFloat((1 - mean).toFixed(3)),
+    pairs,
+    duplicates: pairs.filter(p => p.similarity >= threshold),
+  };
+}
@@ -0,0 +1,51 @@
+/**
+ * Diversity unit tests.
+ * Run: node --test src/diversity.test.mjs
+ */
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { shingle, jaccard, measureDiversity } from "./diversity.mjs";
+
+describe("shingle", () => {
+  it("builds overlapping word sequences, ignoring case and punctuation", () => {
+    assert.deepEqual([...shingle("Self-serve, zero labor!", 2)], ["self serve", "serve zero", "zero labor"]);
+  });
+
+  it("falls back to words for short texts", () => {
+    assert.deepEqual([...shingle("Sells itself", 3)], ["sells", "itself"]);
+  });
+});
+
+describe("jaccard", () => {
+  it("compares shared items to the union", () => {
+    assert.equal(jaccard(new Set(["a", "b", "c"]), new Set(["b", "c", "d"])), 0.5);
+    assert.equal(jaccard(new Set(), new Set()), 1);
+  });
+});
+
+describe("measureDiversity", () => {
+  const base = "Polar checkout handles billing while the API delivers every feature autonomously";
+
+  it("scores identical texts as zero diversity", () => {
+    const result = measureDiversity([base, base, base]);
+    assert.equal(result.score, 0);
+    assert.equal(result.duplicates.length, 3);
+  });
+
+  it("scores unrelated texts as fully diverse", () => {
+    const result = measureDiversity([base, "A consulting agency staffed by human experts on call"]);
+    assert.equal(result.score, 1);
+    assert.deepEqual(result.duplicates, []);
+  });
+
+  it("honours the near-duplicate threshold", () => {
+    const edited = base.replace("autonomously", "on its own");
+    const { pairs } = measureDiversity([base, edited]);
+    assert.ok(pairs[0].similarity > 0.5 && pairs[0].similarity < 0.8);
+    assert.equal(measureDiversity([base, edited], { threshold: 0.5 }).duplicates.length, 1);
+  });
+
+  it("returns no score for fewer than two texts", () => {
+    assert.deepEqual(measureDiversity([base]), { score: null, pairs: [], duplicates: [] });
+  });
+});
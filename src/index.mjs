@@ -5,10 +5,25 @@
  */
 
 // Quality Gate
-export { qualityGate, parseResponses, QUALITY_THRESHOLD } from "./quality-gate.mjs";
+export { qualityGate, createGate, createStreamingGate, parseResponses, extractRubricScores, QUALITY_THRESHOLD } from "./quality-gate.mjs";
+export { defineRubric, saasIdeaRubric } from "./rubrics.mjs";
+export { parseOutput, OUTPUT_FORMATS } from "./parsers.mjs";
+export { detectInjection, normalizeForMatching, INJECTION_PHRASES } from "./injection.mjs";
+export { detectLeakage, redact, LEAKAGE_DETECTORS } from "./leakage.mjs";
+export { analyzeProbabilities } from "./calibration.mjs";
+export { detectLanguage, measureLength, LENGTH_DENSITY } from "./language.mjs";
+export { keywordRelevance, extractKeywords, createEmbeddingScorer } from "./relevance.mjs";
+export { measureDiversity, shingle, jaccard } from "./diversity.mjs";
+export { createJudge, applyJudge, parseJudgeOutput, buildJudgePrompt, stubJudgeProvider } from "./judge.mjs";
+export { createXmlTokenizer, tokenizeXml, tokenSource, checkXml, decodeXmlText } from "./xml.mjs";
 
 // Model Router
 export { createRouter } from "./router.mjs";
+export { registerProvider, getProvider, listProviders } from "./providers.mjs";
+export { SAAS_IDEA_SYSTEM_PROMPT } from "./providers/saas-prompt.mjs";
+export { DEFAULT_PRICING, priceFor, costOf, normalizeUsage, sumUsage } from "./pricing.mjs";
+export { classifyError, withRetry, withTimeout, backoffDelay, retryAfter } from "./retry.mjs";
+export { DEFAULT_REPAIR_CATEGORIES, repairableIssues, buildRepairPrompt } from "./repair.mjs";
 
 // Prompt A/B Testing
 export {
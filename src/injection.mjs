@@ -0,0 +1,243 @@
+/**
+ * Injection detector — finds prompt injection artifacts in model output.
+ *
+ * Plain regexes miss obfuscated payloads, so text is normalised first:
+ *   1. NFKC (full-width and compatibility forms → ASCII)
+ *   2. invisible characters removed (zero-width, bidi controls, NUL…)
+ *   3. Cyrillic/Greek homoglyphs folded to their Latin lookalikes
+ *
+ * Then it looks for:
+ *   - override phrases in several languages ("ignore previous instructions", "忽略之前的指令", …)
+ *   - role markers and tags ("system:", <system>, {"role": "system"})
+ *   - base64 payloads (decoded and re-scanned)
+ *   - the obfuscation itself (mixed-script words, invisible characters)
+ *
+ * Every match is reported with its offset in the original text and a
+ * confidence; the overall confidence combines them as independent signals.
+ *
+ * Usage:
+ *   const { detected, confidence, matches } = detectInjection(text);
+ */
+
+/**
+ * @typedef {Object} InjectionMatch
+ * @property {string} kind - "phrase" | "role" | "tag" | "role_json" | "encoded" | "homoglyph" | "invisible"
+ * @property {string} label - Which pattern fired (e.g. "en:ignore-instructions")
+ * @property {string} match - Matched text (normalised; decoded for "encoded")
+ * @property {number} offset - Offset of the match in the original text
+ * @property {number} confidence - 0.0–1.0
+ */
+
+/** Override phrases by language. Patterns run against normalised text. */
+export const INJECTION_PHRASES = {
+  en: [
+    { label: "ignore-instructions", pattern: /\bignore\s+(?:all\s+)?(?:previous|above|all|prior)\s+(?:instructions|prompts?|rules)/i, confidence: 0.9 },
+    { label: "disregard-instructions", pattern: /\bdisregard\s+(?:all\s+)?(?:previous|above|prior|your)\s+(?:instructions|prompts?|rules)/i, confidence: 0.9 },
+    { label: "you-are-now", pattern: /\byou\s+are\s+(?:now|a)\b/i, confidence: 0.5 },
+    { label: "do-not-follow", pattern: /\bdo\s+not\s+follow/i, confidence: 0.5 },
+    { label: "reveal-prompt", pattern: /\b(?:repeat|reveal|print|output)\s+(?:the\s+|your\s+)?system\s+prompt/i, confidence: 0.8 },
+    { label: "developer-mode", pattern: /\bdeveloper\s+mode\b/i, confidence: 0.7 },
+    { label: "ignore-and-output", pattern: /\bignore\s+(?:that|this|the\s+above)\b[^.\n]{0,40}\boutput\b/i, confidence: 0.6 },
+    { label: "reveal-secrets", pattern: /\breveal\s+(?:all\s+|your\s+|the\s+)?(?:api\s+keys?|secrets?|passwords?|credentials)/i, confidence: 0.6 },
+  ],
+  zh: [
+    { label: "ignore-instructions", pattern: /(?:忽略|无视|忽视)(?:之前|以上|先前|上面|所有)的?(?:指令|指示|说明|提示)/, confidence: 0.9 },
+  ],
+  ja: [
+    { label: "ignore-instructions", pattern: /(?:以前|前|上記)の(?:指示|命令|プロンプト)を(?:無視|忘れ)/, confidence: 0.9 },
+  ],
+  es: [
+    { label: "ignore-instructions", pattern: /\bignora(?:r)?\s+(?:todas\s+)?las\s+instrucciones\s+(?:anteriores|previas)/i, confidence: 0.9 },
+  ],
+  fr: [
+    { label: "ignore-instructions", pattern: /\bignor(?:e|ez|er)\s+(?:toutes\s+)?les\s+instructions\s+(?:pr[eé]c[eé]dentes|ant[eé]rieures)/i, confidence: 0.9 },
+  ],
+  de: [
+    { label: "ignore-instructions", pattern: /\bignorier(?:e|en)?\s+(?:alle\s+)?(?:vorherigen|bisherigen|obigen)\s+anweisungen/i, confidence: 0.9 },
+  ],
+  pt: [
+    { label: "ignore-instructions", pattern: /\bignor(?:e|ar)\s+(?:todas\s+)?as\s+instru[cç][oõ]es\s+anteriores/i, confidence: 0.9 },
+  ],
+  ru: [
+    { label: "ignore-instructions", pattern: /игнорир(?:уй|уйте|овать)\s+(?:все\s+)?(?:предыдущие|прошлые)\s+(?:инструкции|указания)/i, confidence: 0.9 },
+  ],
+};
+
+const STRUCTURAL_PATTERNS = [
+  { kind: "role", label: "system-prefix", pattern: /\bsystem\s*:\s*/i, confidence: 0.6 },
+  { kind: "role", label: "assistant-prefix", pattern: /\bassistant\s*:\s*/i, confidence: 0.5 },
+  { kind: "tag", label: "prompt-tag", pattern: /<\/?(?:system|instruction|prompt)>/i, confidence: 0.8 },
+  { kind: "role_json", label: "role-object", pattern: /\{\s*"role"\s*:\s*"(?:system|assistant|developer|tool)"/i, confidence: 0.8 },
+];
+
+// Zero-width/bidi/format characters plus C0 controls other than \t \n \r
+const INVISIBLE = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F\u00AD\u034F\u061C\u115F\u1160\u17B4\u17B5\u180E\u200B-\u200F\u202A-\u202E\u2060-\u2064\u2066-\u206F\uFEFF]/;
+
+// ZWJ joining emoji (👩‍💻) and soft hyphens inside words are ordinary text, not obfuscation
+const PICTOGRAPH = /[\p{Extended_Pictographic}\p{Emoji_Modifier}\uFE0F]/u;
+const LETTER = /\p{L}/u;
+
+function isBenignInvisible(prev = "", ch, next = "") {
+  if (ch === "\u200D") return PICTOGRAPH.test(prev) && /\p{Extended_Pictographic}/u.test(next);
+  if (ch === "\u00AD") return LETTER.test(prev) && LETTER.test(next);
+  return false;
+}
+
+const HOMOGLYPHS = {
+  // Cyrillic
+  "а": "a", "в": "b", "е": "e", "к": "k", "м": "m", "н": "h", "о": "o", "р": "p", "с": "c", "т": "t", "у": "y", "х": "x",
+  "і": "i", "ј": "j", "ѕ": "s", "ԁ": "d", "ԛ": "q", "ԝ": "w", "ӏ": "l",
+  "А": "A", "В": "B", "Е": "E", "К": "K", "М": "M", "Н": "H", "О": "O", "Р": "P", "С": "C", "Т": "T", "Х": "X", "І": "I", "Ј": "J", "Ѕ": "S",
+  // Greek
+  "α": "a", "ε": "e", "ι": "i", "κ": "k", "ν": "v", "ο": "o", "ρ": "p", "τ": "t", "υ": "u", "χ": "x",
+  "Α": "A", "Β": "B", "Ε": "E", "Ζ": "Z", "Η": "H", "Ι": "I", "Κ": "K", "Μ": "M", "Ν": "N", "Ο": "O", "Ρ": "P", "Τ": "T", "Υ": "Y", "Χ": "X",
+};
+
+const BASE64_RUN = /[A-Za-z0-9+/]{16,}={0,2}/g;
+
+/**
+ * Normalise text for matching, keeping a map back to original offsets.
+ * `text` has homoglyphs folded to Latin; `plain` keeps them (for phrases in
+ * Cyrillic/Greek). Both share the same offset map. Every invisible is
+ * stripped, but an emoji ZWJ or a soft hyphen between letters isn't listed
+ * in `invisible`.
+ *
+ * @param {string} text
+ * @returns {{text: string, plain: string, offsets: number[], invisible: number[], mixedScript: Array<{word: string, offset: number}>}}
+ */
+export function normalizeForMatching(text) {
+  let out = "";
+  let plain = "";
+  const offsets = [];
+  const invisible = [];
+  let offset = 0;
+
+  const chars = Array.from(text);
+  for (const [i, ch] of chars.entries()) {
+    if (INVISIBLE.test(ch)) {
+      if (!isBenignInvisible(chars[i - 1], ch, chars[i + 1])) invisible.push(offset);
+    } else {
+      const nfkc = ch.normalize("NFKC");
+      // Homoglyphs map one letter to one letter, so both texts share offsets
+      out += HOMOGLYPHS[ch] ?? nfkc;
+      plain += HOMOGLYPHS[ch] ? ch : nfkc;
+      for (let i = 0; i < (HOMOGLYPHS[ch] ?? nfkc).length; i++) offsets.push(offset);
+    }
+    offset += ch.length;
+  }
+  offsets.push(offset);
+
+  // Words mixing Latin with Cyrillic/Greek letters
+  const mixedScript = [];
+  for (const word of text.matchAll(/[\p{L}\p{M}]+/gu)) {
+    const latin = /\p{Script=Latin}/u.test(word[0]);
+    const lookalike = /[\p{Script=Cyrillic}\p{Script=Greek}]/u.test(word[0]);
+    if (latin && lookalike) mixedScript.push({ word: word[0], offset: word.index });
+  }
+
+  return { text: out, plain, offsets, invisible, mixedScript };
+}
+
+/**
+ * Detect prompt injection artifacts.
+ *
+ * @param {string} text
+ * @param {Object} [options]
+ * @param {Object<string, Array<{label: string, pattern: RegExp, confidence: number}>>} [options.phrases] - Extra phrases by language, merged with INJECTION_PHRASES
+ * @returns {{detected: boolean, confidence: number, matches: InjectionMatch[]}}
+ */
+export function detectInjection(text, options = {}) {
+  const normalized = normalizeForMatching(text);
+  const phrases = mergePhrases(INJECTION_PHRASES, options.phrases);
+  const matches = [];
+
+  const seen = new Set();
+  const add = match => {
+    const key = `${match.label}@${match.offset}`;
+    if (seen.has(key)) return;
+    seen.add(key);
+    matches.push(match);
+  };
+
+  const scan = (sources, toOffset, kindOverride) => {
+    for (const source of sources) {
+      for (const [lang, list] of Object.entries(phrases)) {
+        for (const { label, pattern, confidence } of list) {
+          for (const m of matchAll(source, pattern)) {
+            add({ kind: kindOverride || "phrase", label: `${lang}:${label}`, match: m[0], offset: toOffset(m.index), confidence });
+          }
+        }
+      }
+      for (const { kind, label, pattern, confidence } of STRUCTURAL_PATTERNS) {
+        for (const m of matchAll(source, pattern)) {
+          add({ kind: kindOverride || kind, label, match: m[0], offset: toOffset(m.index), confidence });
+        }
+      }
+    }
+  };
+
+  scan([normalized.text, normalized.plain], i => normalized.offsets[i]);
+
+  // Base64 payloads — decode and re-scan; undecodable or binary runs are ignored
+  for (const m of matchAll(normalized.text, BASE64_RUN)) {
+    const decoded = decodeBase64Text(m[0]);
+    if (!decoded) continue;
+    const offset = normalized.offsets[m.index];
+    const before = matches.length;
+    const inner = normalizeForMatching(decoded);
+    scan([inner.text, inner.plain], () => offset, "encoded");
+    if (matches.length === before) {
+      matches.push({ kind: "encoded", label: "base64", match: decoded, offset, confidence: 0.3 });
+    }
+  }
+
+  for (const { word, offset } of normalized.mixedScript) {
+    matches.push({ kind: "homoglyph", label: "mixed-script", match: word, offset, confidence: 0.4 });
+  }
+
+  if (normalized.invisible.length > 0) {
+    matches.push({ kind: "invisible", label: "invisible-chars", match: `${normalized.invisible.length} invisible`, offset: normalized.invisible[0], confidence: 0.3 });
+  }
+
+  matches.sort((a, b) => a.offset - b.offset);
+  const confidence = 1 - matches.reduce((p, m) => p * (1 - m.confidence), 1);
+
+  return {
+    detected: matches.length > 0,
+    confidence: parseFloat(confidence.toFixed(3)),
+    matches,
+  };
+}
+
+// --- Helpers ---
+
+function mergePhrases(base, extra) {
+  if (!extra) return base;
+  const merged = { ...base };
+  for (const [lang, list] of Object.entries(extra)) {
+    merged[lang] = [...(merged[lang] || []), ...list];
+  }
+  return merged;
+}
+
+function matchAll(source, pattern) {
+  const flags = pattern.flags.includes("g") ? pattern.flags : pattern.flags + "g";
+  return source.matchAll(new RegExp(pattern.source, flags));
+}
+
+function decodeBase64Text(run) {
+  if (run.replace(/=+$/, "").length % 4 === 1) return null;
+  // Plain words, identifiers and hex hashes are not payloads
+  if (!/[A-Z]/.test(run) || !/[a-z]/.test(run) || /^[0-9a-f]+$/i.test(run)) return null;
+
+  let decoded;
+  try {
+    const bytes = Uint8Array.from(atob(run), c => c.charCodeAt(0));
+    decoded = new TextDecoder("utf-8", { fatal: true }).decode(bytes);
+  } catch {
+    return null;
+  }
+  const printable = decoded.match(/[\p{L}\p{N}\p{P}\p{Zs}]/gu)?.length || 0;
+  if (decoded.length < 8 || printable / decoded.length < 0.9 || !/\s/.test(decoded)) return null;
+  return decoded;
+}
@@ -0,0 +1,228 @@
+/**
+ * Judge — an optional LLM-as-judge stage on top of the heuristic gate.
+ *
+ * The regex checks in quality-gate.mjs can tell whether an evaluation is
+ * well-formed, not whether it says anything. A judge asks a model to grade
+ * each response against the rubric (0–10), and applyJudge() blends that
+ * grade into the gate score:
+ *
+ *   score = (1 - weight) × heuristic + weight × mean(judge scores)
+ *
+ * Judge calls go through any provider function shaped like a registered
+ * provider's call(input, { systemPrompt, model }) → { outputText }. Results
+ * are cached by a SHA-256 of rubric, model and response text, so re-gating
+ * the same output costs nothing; the cache keeps the most recently used
+ * verdicts up to cacheSize. stubJudgeProvider grades deterministically
+ * offline, for tests and local runs.
+ *
+ * Usage:
+ *   const judge = createJudge({ provider: (input, opts) => minimaxProvider.call(input, { ...opts, apiKey, rawInput: true }) });
+ *   const result = await applyJudge(qualityGate(outputText), judge, { weight: 0.3 });
+ */
+
+import { createHash } from "node:crypto";
+import { saasIdeaRubric } from "./rubrics.mjs";
+
+export const DEFAULT_JUDGE_WEIGHT = 0.3;
+const DEFAULT_MIN_SCORE = 0.5;
+const DEFAULT_CACHE_SIZE = 1000;
+
+/**
+ * @typedef {Object} JudgeVerdict
+ * @property {number} index - Response index
+ * @property {number|null} score - 0.0–1.0, null when the judge failed
+ * @property {string} rationale
+ * @property {boolean} cached
+ * @property {string} [error]
+ */
+
+/**
+ * @typedef {Object} Judge
+ * @property {(responses: Array<{text: string}>, options?: {signal?: AbortSignal}) => Promise<JudgeVerdict[]>} grade
+ * @property {string} model
+ * @property {number} minScore
+ * @property {Map<string, {score: number, rationale: string}>} cache
+ */
+
+/**
+ * Create a judge bound to a provider and rubric.
+ *
+ * @param {Object} config
+ * @param {(input: string, opts: {systemPrompt: string, model?: string, signal?: AbortSignal}) => Promise<{outputText: string}>} config.provider
+ * @param {string} [config.model] - Passed through to the provider; part of the cache key
+ * @param {import("./rubrics.mjs").Rubric} [config.rubric] - Defaults to the SaaS idea rubric
+ * @param {number} [config.minScore] - Verdicts below this raise a "judge" issue (default 0.5)
+ * @param {Map} [config.cache] - Share a cache between judges (default: a new Map)
+ * @param {number} [config.cacheSize] - Verdicts kept before the least recently used is dropped (default 1000)
+ * @returns {Judge}
+ */
+export function createJudge(config) {
+  const { provider, model, rubric = saasIdeaRubric, minScore = DEFAULT_MIN_SCORE, cache = new Map(), cacheSize = DEFAULT_CACHE_SIZE } = config || {};
+  if (typeof provider !== "function") throw new Error("Judge requires a provider function");
+
+  const systemPrompt = buildJudgePrompt(rubric);
+
+  async function gradeOne(response, index, signal) {
+    const key = contentHash(`${rubric.name}\n${model ?? ""}\n${response.text}`);
+    if (cache.has(key)) {
+      // Re-insert so Map order tracks recency
+      const verdict = cache.get(key);
+      cache.delete(key);
+      cache.set(key, verdict);
+      return { index, ...verdict, cached: true };
+    }
+
+    try {
+      const { outputText } = await provider(`Response to grade:\n\n${response.text}`, { systemPrompt, model, signal });
+      const verdict = parseJudgeOutput(outputText);
+      if (!verdict) return { index, score: null, rationale: "", cached: false, error: "Unparseable judge output" };
+      cache.set(key, verdict);
+      while (cache.size > cacheSize) cache.delete(cache.keys().next().value);
+      return { index, ...verdict, cached: false };
+    } catch (err) {
+      return { index, score: null, rationale: "", cached: false, error: err.message };
+    }
+  }
+
+  return {
+    grade: (responses, { signal } = {}) => Promise.all(responses.map((r, i) => gradeOne(r, i, signal))),
+    model: model ?? null,
+    minScore,
+    cache,
+  };
+}
+
+/**
+ * Blend judge verdicts into a gate result. Returns a new result with the
+ * blended `score`, the original as `heuristicScore`, the verdicts under
+ * `judge`, and `passesGate` re-evaluated. Responses the judge could not
+ * grade are left out of the mean; if none were graded the score is unchanged.
+ *
+ * @param {import("./quality-gate.mjs").GateResult} gateResult
+ * @param {Judge} judge
+ * @param {Object} [options]
+ * @param {number} [options.weight] - Judge share of the final score, 0–1 (default 0.3)
+ * @param {AbortSignal} [options.signal] - Passed to the judge's provider calls
+ * @returns {Promise<import("./quality-gate.mjs").GateResult & {heuristicScore: number, judge: Object}>}
+ */
+export async function applyJudge(gateResult, judge, options = {}) {
+  const { weight = DEFAULT_JUDGE_WEIGHT, signal } = options;
+  if (weight < 0 || weight > 1) throw new Error(`Judge weight must be within 0–1, got ${weight}`);
+
+  const verdicts = gateResult.responses.length > 0 ? await judge.grade(gateResult.responses, { signal }) : [];
+  const graded = verdicts.filter(v => v.score !== null);
+  const judgeScore = graded.length > 0 ? graded.reduce((sum, v) => sum + v.score, 0) / graded.length : null;
+
+  const issues = [...gateResult.issues];
+  for (const v of verdicts) {
+    if (v.error) {
+      issues.push({ check: "judge.error", category: "judge", severity: "info", message: `Response ${v.index}: judge unavailable (${v.error})` });
+    } else if (v.score < judge.minScore) {
+      issues.push({ check: "judge", category: "judge", severity: "warning", message: `Response ${v.index}: judge scored ${v.score}${v.rationale ? ` — ${v.rationale}` : ""}` });
+    }
+  }
+
+  const heuristicScore = gateResult.score;
+  const score = judgeScore === null ? heuristicScore : parseFloat(((1 - weight) * heuristicScore + weight * judgeScore).toFixed(3));
+
+  const result = {
+    ...gateResult,
+    score,
+    heuristicScore,
+    issues,
+    passesGate: score >= gateResult.threshold && gateResult.vetoed.length === 0,
+    judge: { score: judgeScore === null ? null : parseFloat(judgeScore.toFixed(3)), weight, model: judge.model, verdicts },
+  };
+
+  if (gateResult.explanation) {
+    // Keep base − Σ impact = score: the blend shows up as one more adjustment
+    result.explanation = {
+      ...gateResult.explanation,
+      score,
+      adjustments: [...gateResult.explanation.adjustments, { check: "judge", weight, judgeScore, impact: heuristicScore - score }],
+    };
+  }
+
+  return result;
+}
+
+/**
+ * System prompt asking a model to grade one response against a rubric.
+ *
+ * @param {import("./rubrics.mjs").Rubric} rubric
+ * @returns {string}
+ */
+export function buildJudgePrompt(rubric) {
+  const dimensions = rubric.dimensions.length > 0
+    ? `The response should score these dimensions:\n${rubric.dimensions.map(d => `- ${d}`).join("\n")}\n\n`
+    : "";
+
+  return `You grade AI-written evaluations (rubric: ${rubric.name}).
+
+${dimensions}Judge substance, not formatting: are the scores justified by specific reasoning about the idea, is the pivot concrete, would a founder learn something? A well-formatted response with generic or copy-pasted reasoning scores low.
+
+Reply with JSON only: {"score": <0-10>, "rationale": "<one sentence>"}`;
+}
+
+/**
+ * Read a verdict from judge output: JSON {"score", "rationale"} or a
+ * "Score: N/10" line. Scores are out of 10, as the judge prompt asks,
+ * unless the line states another maximum.
+ *
+ * @param {string} text
+ * @returns {{score: number, rationale: string}|null}
+ */
+export function parseJudgeOutput(text) {
+  let score = null;
+  let rationale = "";
+
+  const json = text.match(/\{[\s\S]*\}/);
+  if (json) {
+    try {
+      const data = JSON.parse(json[0]);
+      score = parseFloat(data.score);
+      rationale = typeof data.rationale === "string" ? data.rationale : "";
+    } catch {
+      // fall through to the plain-text form
+    }
+  }
+
+  if (score === null || isNaN(score)) {
+    const line = text.match(/score\W{0,3}(\d+(?:\.\d+)?)(?:\s*\/\s*(\d+))?/i);
+    if (!line) return null;
+    score = parseFloat(line[1]) / (line[2] ? parseFloat(line[2]) / 10 : 1);
+  }
+
+  score /= 10;
+  if (!(score >= 0 && score <= 1)) return null;
+  return { score: parseFloat(score.toFixed(3)), rationale };
+}
+
+/**
+ * Deterministic offline judge: grades by how much distinct prose a response
+ * carries beyond its score lines (60 distinct words of 4+ letters = 10/10).
+ * Same shape as a provider's call().
+ *
+ * @param {string} input
+ * @returns {Promise<{outputText: string, model: string, usage: Object, latency: number}>}
+ */
+export async function stubJudgeProvider(input) {
+  const prose = input
+    .replace(/^Response to grade:\s*/, "")
+    .split("\n")
+    .filter(line => !/:\s*\d+(?:\s*\/\s*\d+)?\s*$/.test(line))
+    .join(" ");
+  const words = new Set(prose.toLowerCase().match(/\p{L}{4,}/gu) || []);
+  const score = Math.min(10, Math.round(words.size / 6));
+
+  return {
+    outputText: JSON.stringify({ score, rationale: `stub: ${words.size} distinct words` }),
+    model: "stub-judge",
+    usage: { input_tokens: 0, output_tokens: 0, total_tokens: 0 },
+    latency: 0,
+  };
+}
+
+function contentHash(text) {
+  return createHash("sha256").update(text).digest("hex");
+}
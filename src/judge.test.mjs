@@ -0,0 +1,141 @@
+/**
+ * Judge stage unit tests — offline, via the stub provider.
+ * Run: node --test src/judge.test.mjs
+ */
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { createJudge, applyJudge, parseJudgeOutput, buildJudgePrompt, stubJudgeProvider } from "./judge.mjs";
+import { qualityGate } from "./quality-gate.mjs";
+import { saasIdeaRubric } from "./rubrics.mjs";
+
+const SCORES = [
+  "1) Self-Serve Fulfillment: 8",
+  "2) Zero Human Labor: 9",
+  "3) 100% Digital Delivery: 10",
+  "4) No Expert Judgment Required: 8",
+  "5) Polar Compliance: 9",
+  "6) Low Dispute Risk: 8",
+  "7) Autonomous Feature Delivery: 9",
+  "8) Narrow Scope, Strong Utility: 8",
+  "9) Subscription-Friendly: 9",
+  "10) Sells Itself: 6",
+  "Total: 84/100",
+].join("\n");
+
+const SUBSTANTIVE = `${SCORES}
+Buyers connect their Stripe account once and the dashboard reconciles refunds, disputes and payouts nightly without anyone touching it.
+Churn risk stays low because finance teams depend on the monthly close report, and onboarding is a single OAuth click.
+Pivot: none needed, though a Polar checkout embed would let agencies resell seats to their own clients.`;
+
+const VACUOUS = `${SCORES}
+Pivot: good idea, works well.`;
+
+const output = texts => texts.map((t, i) => `<response><text>${t}</text><probability>0.0${i + 5}</probability></response>`).join("\n");
+
+describe("parseJudgeOutput", () => {
+  it("reads JSON verdicts out of 10", () => {
+    assert.deepEqual(parseJudgeOutput('Sure! {"score": 7, "rationale": "Specific."}'), { score: 0.7, rationale: "Specific." });
+    assert.deepEqual(parseJudgeOutput('{"score": 1}'), { score: 0.1, rationale: "" });
+  });
+
+  it("falls back to a score line and rejects nonsense", () => {
+    assert.equal(parseJudgeOutput("Score: 6/10 — decent").score, 0.6);
+    assert.equal(parseJudgeOutput("Score: 45/100").score, 0.45);
+    assert.equal(parseJudgeOutput("no verdict here"), null);
+    assert.equal(parseJudgeOutput('{"score": 42}'), null);
+  });
+});
+
+describe("buildJudgePrompt", () => {
+  it("lists the rubric dimensions", () => {
+    const prompt = buildJudgePrompt(saasIdeaRubric);
+    assert.match(prompt, /- Self-Serve Fulfillment\n/);
+    assert.match(prompt, /\{"score": <0-10>/);
+  });
+});
+
+describe("createJudge", () => {
+  it("grades deterministically with the stub provider", async () => {
+    const judge = createJudge({ provider: stubJudgeProvider });
+    const [good, bad] = await judge.grade([{ text: SUBSTANTIVE }, { text: VACUOUS }]);
+    assert.ok(good.score >= 0.7, `substantive scored ${good.score}`);
+    assert.ok(bad.score <= 0.2, `vacuous scored ${bad.score}`);
+    assert.deepEqual(await createJudge({ provider: stubJudgeProvider }).grade([{ text: SUBSTANTIVE }]), [good]);
+  });
+
+  it("caches verdicts by content hash", async () => {
+    let calls = 0;
+    const provider = async input => { calls++; return stubJudgeProvider(input); };
+    const judge = createJudge({ provider });
+    await judge.grade([{ text: SUBSTANTIVE }, { text: VACUOUS }]);
+    const again = await judge.grade([{ text: SUBSTANTIVE }]);
+    assert.equal(calls, 2);
+    assert.equal(again[0].cached, true);
+
+    await createJudge({ provider, model: "other", cache: judge.cache }).grade([{ text: SUBSTANTIVE }]);
+    assert.equal(calls, 3); // the model is part of the key
+  });
+
+  it("drops the least recently used verdicts past cacheSize", async () => {
+    let calls = 0;
+    const provider = async input => { calls++; return stubJudgeProvider(input); };
+    const judge = createJudge({ provider, cacheSize: 2 });
+    await judge.grade([{ text: "first" }]);
+    await judge.grade([{ text: "second" }]);
+    await judge.grade([{ text: "first" }]); // hit: now most recent
+    await judge.grade([{ text: "third" }]); // evicts "second"
+    assert.equal(judge.cache.size, 2);
+    assert.equal(calls, 3);
+
+    assert.equal((await judge.grade([{ text: "first" }]))[0].cached, true);
+    assert.equal((await judge.grade([{ text: "second" }]))[0].cached, false);
+  });
+
+  it("reports provider failures without throwing", async () => {
+    const judge = createJudge({ provider: async () => { throw new Error("rate limited"); } });
+    const [verdict] = await judge.grade([{ text: SUBSTANTIVE }]);
+    assert.deepEqual({ score: verdict.score, error: verdict.error }, { score: null, error: "rate limited" });
+  });
+
+  it("requires a provider", () => {
+    assert.throws(() => createJudge({}), /requires a provider/);
+  });
+});
+
+describe("applyJudge", () => {
+  const judge = createJudge({ provider: stubJudgeProvider });
+
+  it("blends heuristic and judge scores", async () => {
+    const gate = qualityGate(output([VACUOUS, VACUOUS.replace("works well", "sells fine"), VACUOUS.replace("good idea", "solid plan")]));
+    const result = await applyJudge(gate, judge, { weight: 0.5 });
+
+    assert.equal(result.heuristicScore, gate.score);
+    assert.equal(result.score, parseFloat((0.5 * gate.score + 0.5 * result.judge.score).toFixed(3)));
+    assert.ok(result.score < gate.score);
+    assert.equal(result.issues.filter(i => i.check === "judge").length, 3);
+    assert.equal(gate.issues.some(i => i.check === "judge"), false); // input result untouched
+  });
+
+  it("keeps the heuristic score when the judge is unavailable", async () => {
+    const down = createJudge({ provider: async () => ({ outputText: "¯\\_(ツ)_/¯" }) });
+    const gate = qualityGate(output([SUBSTANTIVE]));
+    const result = await applyJudge(gate, down);
+    assert.equal(result.score, gate.score);
+    assert.equal(result.judge.score, null);
+    assert.equal(result.issues.at(-1).check, "judge.error");
+  });
+
+  it("re-evaluates passesGate and keeps the explanation summing to the score", async () => {
+    const gate = qualityGate(output([VACUOUS, SUBSTANTIVE, VACUOUS.replace("good idea", "fine")]), { explain: true, threshold: 0.9 });
+    const result = await applyJudge(gate, judge, { weight: 1 });
+    const { explanation } = result;
+    const impacts = [...explanation.output.deductions, ...explanation.responses.flatMap(r => r.deductions), ...explanation.adjustments];
+
+    assert.equal(result.passesGate, result.score >= 0.9);
+    assert.ok(Math.abs(explanation.base - impacts.reduce((sum, d) => sum + d.impact, 0) - result.score) < 1e-9);
+  });
+
+  it("rejects weights outside 0–1", async () => {
+    await assert.rejects(applyJudge(qualityGate(output([SUBSTANTIVE])), judge, { weight: 2 }), /within 0–1/);
+  });
+});
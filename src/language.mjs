@@ -0,0 +1,129 @@
+/**
+ * Language — detect what a response is written in and measure it fairly.
+ *
+ * Character counts are an English yardstick: 40 Japanese characters carry
+ * about as much as 120 English ones. Detection works on script first
+ * (Han + kana → ja, Hangul → ko, Cyrillic → ru, …) and tells Latin-script
+ * languages apart by common function words. Length is measured in
+ * graphemes (so emoji and combining marks count once) and scaled by a
+ * per-language density into "English-equivalent characters", the unit the
+ * rubric's length bounds are written in.
+ *
+ * Usage:
+ *   const { language, script, confidence } = detectLanguage(text);
+ *   const { graphemes, units } = measureLength(text, language);
+ *   const { words } = measureLength(text, language, { words: true });
+ */
+
+/**
+ * @typedef {Object} LanguageGuess
+ * @property {string} language - ISO 639-1 code, or "und" when undetermined
+ * @property {string|null} script - Dominant Unicode script
+ * @property {number} confidence - 0.0–1.0
+ */
+
+const SCRIPTS = [
+  { script: "Han", pattern: /\p{Script=Han}/u },
+  { script: "Kana", pattern: /[\p{Script=Hiragana}\p{Script=Katakana}]/u },
+  { script: "Hangul", pattern: /\p{Script=Hangul}/u },
+  { script: "Cyrillic", pattern: /\p{Script=Cyrillic}/u },
+  { script: "Greek", pattern: /\p{Script=Greek}/u },
+  { script: "Arabic", pattern: /\p{Script=Arabic}/u },
+  { script: "Hebrew", pattern: /\p{Script=Hebrew}/u },
+  { script: "Devanagari", pattern: /\p{Script=Devanagari}/u },
+  { script: "Thai", pattern: /\p{Script=Thai}/u },
+  { script: "Latin", pattern: /\p{Script=Latin}/u },
+];
+
+const SCRIPT_LANGUAGES = { Hangul: "ko", Cyrillic: "ru", Greek: "el", Arabic: "ar", Hebrew: "he", Devanagari: "hi", Thai: "th" };
+
+const STOPWORDS = {
+  en: ["the", "and", "is", "are", "of", "to", "with", "for", "this", "that", "it", "on", "be", "not"],
+  es: ["el", "la", "los", "las", "de", "que", "y", "es", "para", "con", "una", "por", "del", "no"],
+  fr: ["le", "la", "les", "des", "et", "est", "pour", "avec", "une", "dans", "du", "pas", "sur", "que"],
+  de: ["der", "die", "das", "und", "ist", "mit", "für", "nicht", "ein", "eine", "zu", "den", "auf", "sich"],
+  pt: ["o", "os", "as", "de", "que", "e", "para", "com", "não", "uma", "do", "da", "em", "é"],
+  it: ["il", "di", "che", "e", "per", "con", "non", "una", "sono", "della", "del", "gli", "è", "un"],
+};
+
+/** English-equivalent characters per grapheme, for scripts denser than Latin. */
+export const LENGTH_DENSITY = { ja: 3, zh: 3.5, ko: 2 };
+
+/**
+ * Guess the language of a text.
+ *
+ * @param {string} text
+ * @returns {LanguageGuess}
+ */
+export function detectLanguage(text) {
+  const counts = new Map();
+  let letters = 0;
+  for (const ch of text.normalize("NFKC")) {
+    if (!/\p{L}/u.test(ch)) continue;
+    letters++;
+    const found = SCRIPTS.find(s => s.pattern.test(ch));
+    if (found) counts.set(found.script, (counts.get(found.script) || 0) + 1);
+  }
+  if (letters === 0) return { language: "und", script: null, confidence: 0 };
+
+  const share = script => (counts.get(script) || 0) / letters;
+
+  // Kana marks Japanese even when Han characters outnumber it
+  if (share("Kana") > 0.05) return { language: "ja", script: "Kana", confidence: round(share("Kana") + share("Han")) };
+  if (share("Han") > 0.3) return { language: "zh", script: "Han", confidence: round(share("Han")) };
+
+  const [script, count] = [...counts].sort((a, b) => b[1] - a[1])[0] || [null, 0];
+  if (SCRIPT_LANGUAGES[script]) return { language: SCRIPT_LANGUAGES[script], script, confidence: round(count / letters) };
+  if (script !== "Latin") return { language: "und", script, confidence: 0 };
+
+  // Latin script — vote with function words
+  const words = text.toLowerCase().match(/\p{L}+/gu) || [];
+  const votes = Object.entries(STOPWORDS)
+    .map(([language, list]) => [language, words.filter(w => list.includes(w)).length])
+    .sort((a, b) => b[1] - a[1]);
+  const hits = votes.reduce((sum, [, n]) => sum + n, 0);
+  if (votes[0][1] < 2) return { language: "und", script, confidence: 0 };
+  return { language: votes[0][0], script, confidence: round(votes[0][1] / hits) };
+}
+
+/**
+ * Measure a text in graphemes, and in English-equivalent characters
+ * (`units`) for comparison with rubric length bounds. Word counts cost a
+ * second segmentation pass, so they're only included on request.
+ *
+ * @param {string} text
+ * @param {string} [language] - From detectLanguage (default: detected)
+ * @param {{words?: boolean}} [options]
+ * @returns {{graphemes: number, words?: number, units: number}}
+ */
+export function measureLength(text, language = detectLanguage(text).language, options = {}) {
+  // Without surrogates, combining marks, joiners, CRLF or conjoining jamo, every code unit is a grapheme
+  const graphemes = CLUSTERING.test(text) ? count(segment(text, language, "grapheme")) : text.length;
+  const length = { graphemes, units: Math.round(graphemes * (LENGTH_DENSITY[language] ?? 1)) };
+  if (options.words) length.words = count(segment(text, language, "word"), s => s.isWordLike);
+  return length;
+}
+
+const CLUSTERING = /[\u{10000}-\u{10FFFF}\p{M}\u200C\u200D\r\u1100-\u11FF]/u;
+
+const segmenters = new Map();
+
+function segment(text, language, granularity) {
+  if (typeof Intl.Segmenter !== "function") {
+    return granularity === "word" ? (text.match(/[\p{L}\p{N}]+/gu) || []).map(w => ({ isWordLike: true, segment: w })) : Array.from(text);
+  }
+  const locale = language && language !== "und" ? language : undefined;
+  const key = `${locale ?? ""}:${granularity}`;
+  if (!segmenters.has(key)) segmenters.set(key, new Intl.Segmenter(locale, { granularity }));
+  return segmenters.get(key).segment(text);
+}
+
+function count(segments, keep = () => true) {
+  let n = 0;
+  for (const s of segments) if (keep(s)) n++;
+  return n;
+}
+
+function round(value) {
+  return parseFloat(value.toFixed(3));
+}
@@ -0,0 +1,51 @@
+/**
+ * Language detection and length measurement unit tests.
+ * Run: node --test src/language.test.mjs
+ */
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { detectLanguage, measureLength } from "./language.mjs";
+
+const language = text => detectLanguage(text).language;
+
+describe("detectLanguage", () => {
+  it("detects CJK and other scripts", () => {
+    assert.equal(language("日本語のビジネスアイデア評価。セルフサービス：8/10"), "ja");
+    assert.equal(language("这个商业想法完全自助服务，无需人工。"), "zh");
+    assert.equal(language("셀프 서비스 이행: 8/10"), "ko");
+    assert.equal(language("Идея полностью цифровая"), "ru");
+  });
+
+  it("tells Latin-script languages apart by function words", () => {
+    assert.equal(language("The idea is self-serve and the buyer pays for it with a card."), "en");
+    assert.equal(language("La idea es de autoservicio y el cliente paga con una tarjeta para los informes."), "es");
+    assert.equal(language("Die Idee ist digital und der Kunde zahlt mit einer Karte, nicht mit Rechnung."), "de");
+  });
+
+  it("stays undetermined without enough evidence", () => {
+    assert.deepEqual(detectLanguage("1) Self-Serve Fulfillment: 8"), { language: "und", script: "Latin", confidence: 0 });
+    assert.deepEqual(detectLanguage("85/100"), { language: "und", script: null, confidence: 0 });
+  });
+});
+
+describe("measureLength", () => {
+  it("counts graphemes, not UTF-16 code units", () => {
+    const { graphemes, units } = measureLength("ok 👍🏽 é", "en");
+    assert.equal(graphemes, 6);
+    assert.equal(units, 6);
+  });
+
+  it("counts plain text by code unit and words only on request", () => {
+    assert.deepEqual(measureLength("plain text, no marks", "en"), { graphemes: 20, units: 20 });
+    assert.equal(measureLength("two words", "en", { words: true }).words, 2);
+    assert.equal(measureLength("line\r\nbreak", "en").graphemes, 10);
+    assert.equal(measureLength("e\u0301", "fr").graphemes, 1);
+  });
+
+  it("scales dense scripts to English-equivalent characters", () => {
+    const { graphemes, words, units } = measureLength("セルフサービスの評価", "ja", { words: true });
+    assert.equal(graphemes, 10);
+    assert.equal(units, 30);
+    assert.ok(words >= 2);
+  });
+});
@@ -0,0 +1,140 @@
+/**
+ * Leakage detector — finds secrets and PII in model output.
+ *
+ * Built-in detectors:
+ *   - api_key   provider key prefixes (OpenAI sk-, Anthropic sk-ant-, AWS AKIA, GitHub ghp_, Stripe sk_live_, …)
+ *   - card      13–19 digit card numbers that pass the Luhn check
+ *   - email     email addresses
+ *   - phone     phone numbers with separators (bare digit runs are not matched)
+ *   - ip        IPv4 addresses
+ *
+ * api_key and card are secrets; email, phone and ip are PII. Each finding
+ * carries its offset so callers can redact it — redact() replaces every
+ * finding with "[REDACTED:<kind>]".
+ *
+ * Usage:
+ *   const { findings, redacted } = detectLeakage(text);
+ */
+
+/**
+ * @typedef {Object} LeakageFinding
+ * @property {string} kind - "api_key" | "card" | "email" | "phone" | "ip"
+ * @property {"secret"|"pii"} class
+ * @property {string} label - Which detector fired (e.g. "anthropic")
+ * @property {string} match
+ * @property {number} offset
+ */
+
+const API_KEY_PATTERNS = [
+  { label: "anthropic", pattern: /\bsk-ant-[A-Za-z0-9_-]{20,}/g },
+  { label: "openai", pattern: /\bsk-(?!ant-)(?:proj-|svcacct-)?[A-Za-z0-9_-]{20,}/g },
+  { label: "aws", pattern: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g },
+  { label: "github", pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{22,})/g },
+  { label: "stripe", pattern: /\b(?:sk|rk)_(?:live|test)_[A-Za-z0-9]{16,}/g },
+  { label: "google", pattern: /\bAIza[0-9A-Za-z_-]{35}/g },
+  { label: "slack", pattern: /\bxox[abposr]-[A-Za-z0-9-]{10,}/g },
+];
+
+export const LEAKAGE_DETECTORS = {
+  api_key: {
+    class: "secret",
+    find(text) {
+      return API_KEY_PATTERNS.flatMap(({ label, pattern }) =>
+        [...text.matchAll(pattern)].map(m => ({ label, match: m[0], offset: m.index }))
+      );
+    },
+  },
+  card: {
+    class: "secret",
+    find(text) {
+      return [...text.matchAll(/\b\d(?:[ -]?\d){12,18}\b/g)]
+        .filter(m => luhn(m[0].replace(/\D/g, "")))
+        .map(m => ({ label: "luhn", match: m[0], offset: m.index }));
+    },
+  },
+  email: {
+    class: "pii",
+    find(text) {
+      return [...text.matchAll(/\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g)]
+        .map(m => ({ label: "email", match: m[0], offset: m.index }));
+    },
+  },
+  phone: {
+    class: "pii",
+    find(text) {
+      return [...text.matchAll(/(?<![\w/.]|\d[ .-])(?:\+\d{1,3}[ .-]?)?(?:\(\d{2,4}\)[ .-]?|\d{2,4}[ .-])\d{3,4}[ .-]\d{3,4}(?![\w/]|[ .-]\d)/g)]
+        .filter(m => m[0].replace(/\D/g, "").length >= 10)
+        .map(m => ({ label: "phone", match: m[0], offset: m.index }));
+    },
+  },
+  ip: {
+    class: "pii",
+    find(text) {
+      return [...text.matchAll(/(?<![\w.])(?:(?:25[0-5]|2[0-4]\d|1?\d?\d)\.){3}(?:25[0-5]|2[0-4]\d|1?\d?\d)(?![\w.])/g)]
+        .map(m => ({ label: "ipv4", match: m[0], offset: m.index }));
+    },
+  },
+};
+
+/**
+ * Detect secrets and PII.
+ *
+ * @param {string} text
+ * @param {Object} [options]
+ * @param {string[]} [options.kinds] - Detectors to run (default: all of LEAKAGE_DETECTORS)
+ * @returns {{findings: LeakageFinding[], redacted: string}}
+ */
+export function detectLeakage(text, options = {}) {
+  const { kinds = Object.keys(LEAKAGE_DETECTORS) } = options;
+  const candidates = [];
+
+  for (const kind of kinds) {
+    const detector = LEAKAGE_DETECTORS[kind];
+    if (!detector) throw new Error(`Unknown leakage detector: ${kind}`);
+    for (const finding of detector.find(text)) {
+      candidates.push({ kind, class: detector.class, ...finding });
+    }
+  }
+
+  // Overlaps (a card number that also looks like a phone number): earliest, then longest, then secrets win
+  candidates.sort((a, b) => a.offset - b.offset || b.match.length - a.match.length || (a.class === "secret" ? -1 : 1));
+  const findings = [];
+  let end = -1;
+  for (const c of candidates) {
+    if (c.offset < end) continue;
+    findings.push(c);
+    end = c.offset + c.match.length;
+  }
+
+  return { findings, redacted: redact(text, findings) };
+}
+
+/**
+ * Replace each finding with "[REDACTED:<kind>]".
+ *
+ * @param {string} text
+ * @param {LeakageFinding[]} findings - Non-overlapping, sorted by offset
+ * @returns {string}
+ */
+export function redact(text, findings) {
+  let out = "";
+  let cursor = 0;
+  for (const f of findings) {
+    out += text.slice(cursor, f.offset) + `[REDACTED:${f.kind}]`;
+    cursor = f.offset + f.match.length;
+  }
+  return out + text.slice(cursor);
+}
+
+function luhn(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let d = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      d *= 2;
+      if (d > 9) d -= 9;
+    }
+    sum += d;
+  }
+  return sum % 10 === 0;
+}
@@ -0,0 +1,163 @@
+/**
+ * Output parsers — turn raw model output into { text, probability } responses.
+ *
+ * Models drift from the requested XML format. Rather than scoring drifted
+ * output as empty, each parser recognises one shape and normalises it:
+ *
+ *   - xml          <response><text>…</text><probability>…</probability></response>
+ *   - xml_fenced   the same XML wrapped in a ``` code fence
+ *   - xml_variant  reordered/extra child tags, or probability as an attribute
+ *   - json         [{ text, probability }] or { responses: [...] }
+ *   - markdown     "Response N" sections with a "Probability:" line,
+ *                  or a single markdown document
+ *
+ * Parsers are tried in that order; the first that yields responses wins.
+ * The gate penalizes anything other than "xml" as format drift.
+ * XML text is decoded (entities, CDATA, comments) before it is returned.
+ */
+
+import { decodeXmlText } from "./xml.mjs";
+
+export const OUTPUT_FORMATS = ["xml", "xml_fenced", "xml_variant", "json", "markdown"];
+
+/**
+ * Parse raw output text, detecting which format the model used.
+ *
+ * @param {string} outputText
+ * @returns {{format: string|null, responses: Array<{text: string, probability: number}>}}
+ */
+export function parseOutput(outputText) {
+  const strict = parseStrictXml(outputText);
+  if (strict.length > 0) {
+    const relaxed = parseRelaxedXml(outputText);
+    if (relaxed.length > strict.length) return { format: "xml_variant", responses: relaxed };
+    const fenced = /```[\w-]*\s*<response[\s>]/i.test(outputText);
+    return { format: fenced ? "xml_fenced" : "xml", responses: strict };
+  }
+
+  const relaxed = parseRelaxedXml(outputText);
+  if (relaxed.length > 0) return { format: "xml_variant", responses: relaxed };
+
+  const json = parseJson(outputText);
+  if (json.length > 0) return { format: "json", responses: json };
+
+  const markdown = parseMarkdown(outputText);
+  if (markdown.length > 0) return { format: "markdown", responses: markdown };
+
+  return { format: null, responses: [] };
+}
+
+// --- XML ---
+
+function parseStrictXml(outputText) {
+  const responses = [];
+  const responseRegex = /<response>\s*<text>([\s\S]*?)<\/text>\s*<probability>([\s\S]*?)<\/probability>\s*<\/response>/g;
+  let match;
+
+  while ((match = responseRegex.exec(outputText)) !== null) {
+    responses.push({
+      text: decodeXmlText(match[1]).trim(),
+      probability: parseFloat(decodeXmlText(match[2]).trim()),
+    });
+  }
+
+  return responses;
+}
+
+function parseRelaxedXml(outputText) {
+  const responses = [];
+  const blockRegex = /<response\b([^>]*)>([\s\S]*?)<\/response>/g;
+  let match;
+
+  while ((match = blockRegex.exec(outputText)) !== null) {
+    const [, attrs, body] = match;
+    const text = body.match(/<text\b[^>]*>([\s\S]*?)<\/text>/);
+    if (!text) continue;
+
+    const probability = body.match(/<probability\b[^>]*>([\s\S]*?)<\/probability>/)
+      || attrs.match(/\bprobability\s*=\s*["']?([^"'\s>]+)/);
+
+    responses.push({
+      text: decodeXmlText(text[1]).trim(),
+      probability: probability ? parseFloat(decodeXmlText(probability[1]).trim()) : NaN,
+    });
+  }
+
+  return responses;
+}
+
+// --- JSON ---
+
+function parseJson(outputText) {
+  const candidates = [];
+  const fenceRegex = /```(?:json)?\s*\n([\s\S]*?)```/gi;
+  let match;
+  while ((match = fenceRegex.exec(outputText)) !== null) candidates.push(match[1]);
+
+  const trimmed = outputText.trim();
+  candidates.push(trimmed);
+
+  const first = trimmed.search(/[[{]/);
+  const last = Math.max(trimmed.lastIndexOf("]"), trimmed.lastIndexOf("}"));
+  if (first > 0 && last > first) candidates.push(trimmed.slice(first, last + 1));
+
+  for (const candidate of candidates) {
+    let data;
+    try {
+      data = JSON.parse(candidate);
+    } catch {
+      continue;
+    }
+    const responses = normalizeJson(data);
+    if (responses.length > 0) return responses;
+  }
+
+  return [];
+}
+
+function normalizeJson(data) {
+  let items;
+  if (Array.isArray(data)) items = data;
+  else if (data && typeof data === "object") {
+    items = data.responses || data.variants || data.items || (data.text !== undefined ? [data] : []);
+  }
+  if (!Array.isArray(items)) return [];
+
+  const responses = [];
+  for (const item of items) {
+    const text = item?.text ?? item?.content ?? item?.response;
+    if (typeof text !== "string") continue;
+    responses.push({
+      text: text.trim(),
+      probability: parseFloat(item.probability ?? item.prob ?? NaN),
+    });
+  }
+  return responses;
+}
+
+// --- Markdown ---
+
+function parseMarkdown(outputText) {
+  const headingRegex = /^[ \t]*(?:#{1,6}[ \t]*|\*\*)?(?:Response|Variant)[ \t]+\d+\b.*$/gim;
+  const headings = [...outputText.matchAll(headingRegex)];
+
+  if (headings.length === 0) {
+    // A single markdown document — treat it as one response with no probability
+    if (!/^#{1,6}\s+\S/m.test(outputText)) return [];
+    return [{ text: outputText.trim(), probability: NaN }];
+  }
+
+  return headings.map((heading, i) => {
+    const start = heading.index + heading[0].length;
+    const end = i + 1 < headings.length ? headings[i + 1].index : outputText.length;
+    const section = outputText.slice(start, end);
+
+    const probabilityLine = /^[ \t]*(?:[-*][ \t]*)?(?:\*\*)?probability(?:\*\*)?[ \t]*[:=][ \t]*(?:\*\*)?[ \t]*([\d.]+).*$/im;
+    const probability = section.match(probabilityLine);
+
+    return {
+      text: section.replace(probabilityLine, "").trim(),
+      probability: probability ? parseFloat(probability[1]) : NaN,
+    };
+  });
+}
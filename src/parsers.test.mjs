@@ -0,0 +1,86 @@
+/**
+ * Output parser unit tests.
+ * Run: node --test src/parsers.test.mjs
+ */
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { parseOutput } from "./parsers.mjs";
+
+const XML = `<response><text>First evaluation</text><probability>0.08</probability></response>
+<response><text>Second evaluation</text><probability>0.06</probability></response>`;
+
+describe("parseOutput", () => {
+  it("detects canonical XML", () => {
+    const { format, responses } = parseOutput(XML);
+    assert.equal(format, "xml");
+    assert.deepEqual(responses, [
+      { text: "First evaluation", probability: 0.08 },
+      { text: "Second evaluation", probability: 0.06 },
+    ]);
+  });
+
+  it("detects XML inside a code fence", () => {
+    const { format, responses } = parseOutput("Here you go:\n```xml\n" + XML + "\n```");
+    assert.equal(format, "xml_fenced");
+    assert.equal(responses.length, 2);
+  });
+
+  it("accepts reordered and extra child tags", () => {
+    const { format, responses } = parseOutput(
+      '<response><score>8</score><probability>0.1</probability><text>Real evaluation</text></response>'
+    );
+    assert.equal(format, "xml_variant");
+    assert.deepEqual(responses, [{ text: "Real evaluation", probability: 0.1 }]);
+  });
+
+  it("reads probability from a response attribute", () => {
+    const { format, responses } = parseOutput('<response probability="0.05"><text>Attr evaluation</text></response>');
+    assert.equal(format, "xml_variant");
+    assert.deepEqual(responses, [{ text: "Attr evaluation", probability: 0.05 }]);
+  });
+
+  it("prefers relaxed XML when it finds more blocks than the strict parser", () => {
+    const mixed = XML + '\n<response><probability>0.02</probability><text>Third evaluation</text></response>';
+    const { format, responses } = parseOutput(mixed);
+    assert.equal(format, "xml_variant");
+    assert.equal(responses.length, 3);
+  });
+
+  it("parses JSON arrays and { responses } objects", () => {
+    const array = parseOutput('```json\n[{"text": "A", "probability": 0.1}, {"text": "B", "probability": 0.2}]\n```');
+    assert.equal(array.format, "json");
+    assert.deepEqual(array.responses.map(r => r.text), ["A", "B"]);
+
+    const object = parseOutput('{"responses": [{"text": "Evaluation", "probability": 0.1}]}');
+    assert.equal(object.format, "json");
+    assert.deepEqual(object.responses, [{ text: "Evaluation", probability: 0.1 }]);
+  });
+
+  it("parses markdown Response N sections", () => {
+    const { format, responses } = parseOutput(`## Response 1
+Strong idea overall.
+Probability: 0.07
+
+## Response 2
+Weaker angle.
+**Probability:** 0.03`);
+    assert.equal(format, "markdown");
+    assert.deepEqual(responses, [
+      { text: "Strong idea overall.", probability: 0.07 },
+      { text: "Weaker angle.", probability: 0.03 },
+    ]);
+  });
+
+  it("treats a single markdown document as one response", () => {
+    const { format, responses } = parseOutput("# Evaluation\n\n## Scores\n- Self-Serve: 8/10");
+    assert.equal(format, "markdown");
+    assert.equal(responses.length, 1);
+    assert.ok(Number.isNaN(responses[0].probability));
+  });
+
+  it("returns no format for unrecognised output", () => {
+    assert.deepEqual(parseOutput("no xml here"), { format: null, responses: [] });
+    assert.deepEqual(parseOutput("12345678901234567890"), { format: null, responses: [] });
+    assert.deepEqual(parseOutput(""), { format: null, responses: [] });
+  });
+});
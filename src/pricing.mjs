@@ -0,0 +1,125 @@
+/**
+ * Pricing — token usage to dollars.
+ *
+ * Prices are USD per million tokens, input and output separately, keyed by
+ * model id. Providers report dated model ids ("gpt-4o-2024-08-06"), so a
+ * lookup falls back to the longest table key the model starts with.
+ * Unknown models cost `null` — the router still runs them, but they don't
+ * count against a budget.
+ *
+ * Usage:
+ *   const cost = costOf(result.usage, "claude-opus-4-20250514");
+ *   // → { model, input: 0.03, output: 0.15, total: 0.18 }
+ *   createRouter({ pricing: { "my-model": { input: 1, output: 2 } } }); // merged over DEFAULT_PRICING
+ */
+
+/**
+ * @typedef {Object} Usage
+ * @property {number} input_tokens
+ * @property {number} output_tokens
+ * @property {number} total_tokens
+ */
+
+/**
+ * @typedef {Object} Cost
+ * @property {string|null} model
+ * @property {number|null} input - USD
+ * @property {number|null} output - USD
+ * @property {number|null} total - USD, null when the model has no price
+ */
+
+/** USD per 1M tokens. */
+export const DEFAULT_PRICING = {
+  "MiniMax-Text-01": { input: 0.2, output: 1.1 },
+  "MiniMax-M1": { input: 0.4, output: 2.2 },
+  "gpt-4o": { input: 2.5, output: 10 },
+  "gpt-4o-mini": { input: 0.15, output: 0.6 },
+  "gpt-4.1": { input: 2, output: 8 },
+  "gpt-4.1-mini": { input: 0.4, output: 1.6 },
+  "gpt-4.1-nano": { input: 0.1, output: 0.4 },
+  "o3": { input: 2, output: 8 },
+  "o4-mini": { input: 1.1, output: 4.4 },
+  "claude-opus-4": { input: 15, output: 75 },
+  "claude-sonnet-4": { input: 3, output: 15 },
+  "claude-3-7-sonnet": { input: 3, output: 15 },
+  "claude-3-5-haiku": { input: 0.8, output: 4 },
+};
+
+/**
+ * Price entry for a model: exact id first, then the longest prefix.
+ *
+ * @param {string} model
+ * @param {Object<string, {input: number, output: number}>} [pricing]
+ * @returns {{input: number, output: number}|null}
+ */
+export function priceFor(model, pricing = DEFAULT_PRICING) {
+  if (!model) return null;
+  if (pricing[model]) return pricing[model];
+  const key = Object.keys(pricing)
+    .filter(k => model.startsWith(k))
+    .sort((a, b) => b.length - a.length)[0];
+  return key ? pricing[key] : null;
+}
+
+/**
+ * Dollar cost of one call's usage.
+ *
+ * @param {Object} usage - Any shape normalizeUsage() accepts
+ * @param {string} model
+ * @param {Object<string, {input: number, output: number}>} [pricing]
+ * @returns {Cost}
+ */
+export function costOf(usage, model, pricing = DEFAULT_PRICING) {
+  const price = priceFor(model, pricing);
+  if (!price) return { model: model ?? null, input: null, output: null, total: null };
+
+  const { input_tokens, output_tokens } = normalizeUsage(usage);
+  const input = (input_tokens * price.input) / 1e6;
+  const output = (output_tokens * price.output) / 1e6;
+  return { model, input: round(input), output: round(output), total: round(input + output) };
+}
+
+/**
+ * Token counts in the { input_tokens, output_tokens, total_tokens } shape,
+ * from that shape or the chat-completions { prompt_tokens, completion_tokens } one.
+ *
+ * @param {Object} [usage]
+ * @returns {Usage}
+ */
+export function normalizeUsage(usage) {
+  const input = usage?.input_tokens ?? usage?.prompt_tokens ?? 0;
+  const output = usage?.output_tokens ?? usage?.completion_tokens ?? 0;
+  return { input_tokens: input, output_tokens: output, total_tokens: usage?.total_tokens ?? input + output };
+}
+
+/**
+ * Add usages together (missing entries count as zero).
+ *
+ * @param {...Object} usages
+ * @returns {Usage}
+ */
+export function sumUsage(...usages) {
+  const sum = { input_tokens: 0, output_tokens: 0, total_tokens: 0 };
+  for (const usage of usages.filter(Boolean)) {
+    const u = normalizeUsage(usage);
+    sum.input_tokens += u.input_tokens;
+    sum.output_tokens += u.output_tokens;
+    sum.total_tokens += u.total_tokens;
+  }
+  return sum;
+}
+
+/**
+ * Add costs together. The total is null only if every part is unpriced.
+ *
+ * @param {...Cost} costs
+ * @returns {number|null}
+ */
+export function sumCost(...costs) {
+  const priced = costs.filter(c => c && c.total !== null);
+  return priced.length === 0 ? null : round(priced.reduce((sum, c) => sum + c.total, 0));
+}
+
+function round(value) {
+  return parseFloat(value.toFixed(6));
+}
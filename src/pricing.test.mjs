@@ -0,0 +1,48 @@
+/**
+ * Pricing unit tests.
+ * Run: node --test src/pricing.test.mjs
+ */
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { DEFAULT_PRICING, priceFor, costOf, normalizeUsage, sumUsage, sumCost } from "./pricing.mjs";
+
+describe("priceFor", () => {
+  it("matches exact ids, then the longest prefix", () => {
+    assert.equal(priceFor("gpt-4o"), DEFAULT_PRICING["gpt-4o"]);
+    assert.equal(priceFor("gpt-4o-mini-2024-07-18"), DEFAULT_PRICING["gpt-4o-mini"]);
+    assert.equal(priceFor("claude-opus-4-20250514"), DEFAULT_PRICING["claude-opus-4"]);
+  });
+
+  it("returns null for unknown or missing models", () => {
+    assert.equal(priceFor("llama3"), null);
+    assert.equal(priceFor(undefined), null);
+  });
+});
+
+describe("costOf", () => {
+  it("prices input and output tokens per million", () => {
+    const cost = costOf({ input_tokens: 2000, output_tokens: 1000 }, "claude-opus-4-20250514");
+    assert.deepEqual(cost, { model: "claude-opus-4-20250514", input: 0.03, output: 0.075, total: 0.105 });
+  });
+
+  it("uses a custom table", () => {
+    assert.equal(costOf({ input_tokens: 1e6, output_tokens: 0 }, "local", { local: { input: 0.5, output: 1 } }).total, 0.5);
+  });
+
+  it("leaves unpriced models at null", () => {
+    assert.deepEqual(costOf({ input_tokens: 10 }, "llama3"), { model: "llama3", input: null, output: null, total: null });
+  });
+});
+
+describe("usage", () => {
+  it("normalizes the chat-completions shape", () => {
+    assert.deepEqual(normalizeUsage({ prompt_tokens: 5, completion_tokens: 7 }), { input_tokens: 5, output_tokens: 7, total_tokens: 12 });
+    assert.deepEqual(normalizeUsage(undefined), { input_tokens: 0, output_tokens: 0, total_tokens: 0 });
+  });
+
+  it("sums usages and costs", () => {
+    assert.deepEqual(sumUsage({ input_tokens: 1, output_tokens: 2, total_tokens: 3 }, null, { prompt_tokens: 4, completion_tokens: 5 }), { input_tokens: 5, output_tokens: 7, total_tokens: 12 });
+    assert.equal(sumCost({ total: 0.1 }, { total: null }, { total: 0.2 }), 0.3);
+    assert.equal(sumCost({ total: null }), null);
+  });
+});
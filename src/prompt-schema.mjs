@@ -19,7 +19,7 @@
 /**
  * @typedef {Object} PromptVariant
  * @property {string} id - Unique variant identifier for tracking
- * @property {"openai"|"anthropic"} provider
+ * @property {string} provider - Registered provider id ("openai", "anthropic", "minimax", or your own)
  * @property {number} weight - Traffic weight (normalized across variants)
  * @property {Object} promptConfig - Provider-specific prompt configuration
  * @property {string} [promptConfig.promptId] - OpenAI stored prompt ID
@@ -0,0 +1,100 @@
+/**
+ * Provider registry — the models the router can call.
+ *
+ * A provider is a plain object:
+ *   { id: "gemini", call: async (input, opts) => ({ outputText, model, usage, latency }) }
+ *
+ * `opts` carries whatever the tier configures — apiKey, model,
+ * systemPrompt, promptId/promptVersion, rawInput, maxTokens — plus an
+ * AbortSignal as `signal`, and the provider ignores what it doesn't use.
+ * Pass `signal` on to fetch or the SDK so timeouts and cancelled requests
+ * stop spending tokens. `usage` should use the
+ * { input_tokens, output_tokens, total_tokens } shape. A provider that can
+ * stream calls `opts.onText(delta)` with each piece of text as it arrives
+ * (and still resolves with the whole result); the router passes it when a
+ * tier has `streaming` on. Anthropic streams; the others ignore it.
+ *
+ * MiniMax, OpenAI and Anthropic are registered on import (adapters in
+ * src/providers/). Register more — or replace a built-in — without touching
+ * the router:
+ *
+ *   registerProvider({ id: "ollama", call: (input, opts) => callOllama(input, opts) });
+ *   createRouter({ ... }).evaluateWithExperiment(idea, experimentUsing("ollama"));
+ *
+ * Routers can also take `providers: [...]` that apply only to that router.
+ */
+
+import { minimaxProvider } from "./providers/minimax.mjs";
+import { openaiProvider } from "./providers/openai.mjs";
+import { anthropicProvider } from "./providers/anthropic.mjs";
+
+/**
+ * @typedef {Object} ProviderResult
+ * @property {string} outputText
+ * @property {string} model - Model that actually answered
+ * @property {{input_tokens: number, output_tokens: number, total_tokens: number}} usage
+ * @property {number} latency - ms
+ * @property {Object|null} [reasoning]
+ * @property {Object} [raw] - Untouched SDK/HTTP response
+ */
+
+/**
+ * @typedef {Object} Provider
+ * @property {string} id
+ * @property {(input: string, opts: Object) => Promise<ProviderResult>} call
+ * @property {string} [defaultModel] - Model used when the tier sets none (for cost estimates)
+ */
+
+const registry = new Map();
+
+/**
+ * Register a provider globally. A provider with the same id is replaced.
+ *
+ * @param {Provider} provider
+ * @returns {Provider}
+ */
+export function registerProvider(provider) {
+  validateProvider(provider);
+  registry.set(provider.id, provider);
+  return provider;
+}
+
+/**
+ * Look up a provider, checking `local` (a router's own providers) first.
+ *
+ * @param {string} id
+ * @param {Map<string, Provider>} [local]
+ * @returns {Provider}
+ */
+export function getProvider(id, local) {
+  const provider = local?.get(id) ?? registry.get(id);
+  if (!provider) throw new Error(`Unknown provider: ${id} (registered: ${listProviders(local).join(", ")})`);
+  return provider;
+}
+
+/**
+ * Ids of every registered provider (plus `local` ones).
+ *
+ * @param {Map<string, Provider>} [local]
+ * @returns {string[]}
+ */
+export function listProviders(local) {
+  return [...new Set([...registry.keys(), ...(local?.keys() ?? [])])];
+}
+
+/**
+ * Build a router-local provider map.
+ *
+ * @param {Provider[]} [providers]
+ * @returns {Map<string, Provider>}
+ */
+export function providerMap(providers = []) {
+  return new Map(providers.map(p => (validateProvider(p), [p.id, p])));
+}
+
+function validateProvider(provider) {
+  if (!provider || typeof provider.id !== "string" || !provider.id) throw new Error("Provider must have a string id");
+  if (typeof provider.call !== "function") throw new Error(`Provider ${provider.id} must have a call(input, opts) function`);
+}
+
+[minimaxProvider, openaiProvider, anthropicProvider].forEach(registerProvider);
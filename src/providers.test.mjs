@@ -0,0 +1,85 @@
+/**
+ * Provider registry unit tests — offline, with fake providers.
+ * Run: node --test src/providers.test.mjs
+ */
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { registerProvider, getProvider, listProviders, providerMap } from "./providers.mjs";
+import { createRouter } from "./router.mjs";
+import { defineExperiment } from "./prompt-schema.mjs";
+
+function fakeProvider(id, calls = []) {
+  return {
+    id,
+    async call(input, opts) {
+      calls.push({ input, opts });
+      return { outputText: "<response><text>ok</text><probability>0.05</probability></response>", model: `${id}-1`, usage: { input_tokens: 1, output_tokens: 1, total_tokens: 2 }, latency: 0 };
+    },
+  };
+}
+
+describe("provider registry", () => {
+  it("registers the built-in providers", () => {
+    for (const id of ["minimax", "openai", "anthropic"]) {
+      assert.equal(getProvider(id).id, id);
+    }
+  });
+
+  it("registers and replaces by id", () => {
+    const first = registerProvider(fakeProvider("test-replace"));
+    assert.equal(getProvider("test-replace"), first);
+    const second = registerProvider(fakeProvider("test-replace"));
+    assert.equal(getProvider("test-replace"), second);
+    assert.equal(listProviders().filter(id => id === "test-replace").length, 1);
+  });
+
+  it("prefers router-local providers over registered ones", () => {
+    const local = providerMap([fakeProvider("openai")]);
+    assert.notEqual(getProvider("openai", local), getProvider("openai"));
+    assert.ok(listProviders(local).includes("openai"));
+  });
+
+  it("throws on unknown ids, listing what is registered", () => {
+    assert.throws(() => getProvider("nope"), /Unknown provider: nope \(registered: .*minimax/);
+  });
+
+  it("validates the provider shape", () => {
+    assert.throws(() => registerProvider({ call() {} }), /string id/);
+    assert.throws(() => registerProvider({ id: "bad" }), /call\(input, opts\)/);
+    assert.throws(() => providerMap([{ id: "bad", call: "nope" }]), /call\(input, opts\)/);
+  });
+});
+
+describe("router providers", () => {
+  it("routes experiment variants to any provider with its key and promptConfig", async () => {
+    const calls = [];
+    const router = createRouter({
+      providers: [fakeProvider("local-llm", calls)],
+      keys: { "local-llm": "k-123" },
+      allowEscalation: false,
+    });
+    const exp = defineExperiment("custom-provider", [
+      { id: "a", provider: "local-llm", promptConfig: { model: "tiny", systemPrompt: "Be brief." } },
+    ]);
+
+    const result = await router.evaluateWithExperiment("Invoice reminders for freelancers", exp);
+
+    assert.equal(calls.length, 1);
+    assert.equal(calls[0].input, "Invoice reminders for freelancers");
+    assert.equal(calls[0].opts.apiKey, "k-123");
+    assert.equal(calls[0].opts.model, "tiny");
+    assert.equal(calls[0].opts.systemPrompt, "Be brief.");
+    assert.equal(result.provider, "local-llm");
+    assert.equal(result.model, "local-llm-1");
+  });
+
+  it("rejects variants naming an unknown provider", async () => {
+    const router = createRouter({ allowEscalation: false });
+    const exp = defineExperiment("unknown-provider", [{ id: "a", provider: "nope" }]);
+    await assert.rejects(router.evaluateWithExperiment("idea", exp), /Unknown provider: nope/);
+  });
+
+  it("rejects an unknown judge provider up front", () => {
+    assert.throws(() => createRouter({ judge: { provider: "nope" } }), /Unknown provider: nope/);
+  });
+});
@@ -0,0 +1,74 @@
+/**
+ * Anthropic provider — strongest tier in the escalation chain.
+ *
+ * OpenAI's stored prompt isn't available here, so the SaaS idea prompt
+ * is sent as the system prompt unless the caller supplies its own. The SDK
+ * is imported on first use — most requests never escalate this far. With
+ * `onText` the reply is streamed, so the router can gate it as it arrives.
+ */
+
+import { SAAS_IDEA_SYSTEM_PROMPT, formatIdeaInput } from "./saas-prompt.mjs";
+
+const DEFAULT_MODEL = "claude-opus-4-20250514";
+
+/**
+ * Call Anthropic's Messages API.
+ *
+ * @param {string} input - The business idea (or raw prompt with `rawInput`)
+ * @param {Object} config
+ * @param {string} config.apiKey - Anthropic API key
+ * @param {string} [config.model] - Model ID (default: "claude-opus-4-20250514")
+ * @param {string} [config.systemPrompt] - System prompt (default: the SaaS idea prompt)
+ * @param {boolean} [config.rawInput] - Send `input` as-is instead of wrapping it as an idea
+ * @param {number} [config.maxTokens] - Completion cap (default 8192)
+ * @param {AbortSignal} [config.signal] - Aborts the request
+ * @param {(text: string) => void} [config.onText] - Stream the reply, passing each text delta as it arrives
+ * @returns {Promise<{outputText: string, model: string, usage: Object, latency: number, raw: Object}>}
+ */
+export async function callAnthropic(input, config) {
+  const { apiKey, model = DEFAULT_MODEL, systemPrompt = SAAS_IDEA_SYSTEM_PROMPT, rawInput = false, maxTokens = 8192, signal, onText } = config;
+
+  if (!apiKey) {
+    throw new Error("Anthropic API key required but not configured");
+  }
+
+  const { default: Anthropic } = await import("@anthropic-ai/sdk");
+  const client = new Anthropic({ apiKey, maxRetries: 0 }); // the router retries (retry.mjs)
+  const start = Date.now();
+
+  const request = {
+    model,
+    max_tokens: maxTokens,
+    messages: [{ role: "user", content: formatIdeaInput(input, rawInput) }],
+    system: systemPrompt,
+  };
+
+  let message;
+  if (onText) {
+    const stream = client.messages.stream(request, { signal });
+    stream.on("text", delta => onText(delta));
+    message = await stream.finalMessage();
+  } else {
+    message = await client.messages.create(request, { signal });
+  }
+
+  return {
+    outputText: message.content.filter(b => b.type === "text").map(b => b.text).join("\n"),
+    model: message.model,
+    usage: {
+      input_tokens: message.usage.input_tokens,
+      output_tokens: message.usage.output_tokens,
+      total_tokens: message.usage.input_tokens + message.usage.output_tokens,
+    },
+    reasoning: null,
+    latency: Date.now() - start,
+    raw: message,
+  };
+}
+
+/** Registry adapter — see providers.mjs. */
+export const anthropicProvider = {
+  id: "anthropic",
+  defaultModel: DEFAULT_MODEL,
+  call: (input, opts) => callAnthropic(input, opts),
+};
@@ -12,7 +12,23 @@
  * produces good output.
  */
 
+import { SAAS_IDEA_SYSTEM_PROMPT, formatIdeaInput } from "./saas-prompt.mjs";
+
 const MINIMAX_API_URL = "https://api.minimax.io/v1/text/chatcompletion_v2";
+const DEFAULT_MODEL = "MiniMax-Text-01";
+
+// base_resp.status_code → retry.mjs error kind (MiniMax reports some failures with HTTP 200)
+const ERROR_KINDS = {
+  1001: "timeout",
+  1002: "rate_limit",
+  1039: "rate_limit",
+  1004: "auth",
+  1008: "auth", // insufficient balance
+  1013: "server",
+  1026: "content_filter",
+  1027: "content_filter",
+  2013: "bad_request",
+};
 
 /**
  * Call MiniMax with a SaaS idea evaluation prompt.
@@ -22,44 +38,30 @@ const MINIMAX_API_URL = "https://api.minimax.io/v1/text/chatcompletion_v2";
  * @param {string} config.apiKey - MiniMax API key
  * @param {string} [config.model] - Model ID (default: "MiniMax-Text-01")
  * @param {string} [config.systemPrompt] - System prompt for evaluation
+ * @param {boolean} [config.rawInput] - Send `idea` as the user message as-is (e.g. judge prompts)
+ * @param {number} [config.maxTokens] - Completion cap (default 8192)
+ * @param {AbortSignal} [config.signal] - Aborts the request
  * @returns {Promise<{outputText: string, model: string, usage: Object, latency: number}>}
  */
 export async function callMiniMax(idea, config) {
   const {
     apiKey,
-    model = "MiniMax-Text-01",
+    model = DEFAULT_MODEL,
     systemPrompt,
+    rawInput = false,
+    maxTokens = 8192,
+    signal,
   } = config;
 
   if (!apiKey) {
     throw new Error("MiniMax API key required but not configured");
   }
 
-  const defaultSystemPrompt = `You are a SaaS idea evaluator. Given a business idea, produce exactly 5 evaluation variants.
-
-Each variant must:
-1. Score the original idea on 10 dimensions (1-10 each): Self-Serve Fulfillment, Zero Human Labor, 100% Digital Delivery, No Expert Judgment Required, Polar Compliance, Low Dispute Risk, Autonomous Feature Delivery, Narrow Scope Strong Utility, Subscription-Friendly, Sells Itself
-2. Calculate Total: X/100
-3. If Total < 60, suggest a Polar-safe digital pivot with its own 10-dimension scoring
-4. Include a Polar integration sketch for the pivot
-
-Hard Filters (auto-fail if any score 0):
-- HF1: Zero Human Labor
-- HF2: 100% Digital Delivery
-- HF3: No Expert Judgment Required (threshold: 3+)
-
-Output format (XML, exactly 5 response blocks):
-<response>
-  <text>[evaluation text]</text>
-  <probability>[0.01-0.10]</probability>
-</response>
-
-Probabilities across all 5 responses must sum to < 1.0.`;
-
   const start = Date.now();
 
   const response = await fetch(MINIMAX_API_URL, {
     method: "POST",
+    signal,
     headers: {
       "Content-Type": "application/json",
       "Authorization": `Bearer ${apiKey}`,
@@ -67,20 +69,27 @@ Probabilities across all 5 responses must sum to < 1.0.`;
     body: JSON.stringify({
       model,
       messages: [
-        { role: "system", content: systemPrompt || defaultSystemPrompt },
-        { role: "user", content: `Evaluate this SaaS idea:\n\n${idea}` },
+        { role: "system", content: systemPrompt || SAAS_IDEA_SYSTEM_PROMPT },
+        { role: "user", content: formatIdeaInput(idea, rawInput) },
       ],
       temperature: 0.7,
-      max_tokens: 8192,
+      max_tokens: maxTokens,
     }),
   });
 
   if (!response.ok) {
     const err = await response.text();
-    throw new Error(`MiniMax API error (${response.status}): ${err}`);
+    throw Object.assign(new Error(`MiniMax API error (${response.status}): ${err}`), {
+      status: response.status,
+      headers: response.headers,
+    });
   }
 
   const data = await response.json();
+  const code = data.base_resp?.status_code;
+  if (code) {
+    throw Object.assign(new Error(`MiniMax API error (${code}): ${data.base_resp.status_msg}`), { kind: ERROR_KINDS[code] });
+  }
   const latency = Date.now() - start;
 
   const outputText = data.choices?.[0]?.message?.content || "";
@@ -99,3 +108,10 @@ Probabilities across all 5 responses must sum to < 1.0.`;
     raw: data,
   };
 }
+
+/** Registry adapter — see providers.mjs. */
+export const minimaxProvider = {
+  id: "minimax",
+  defaultModel: DEFAULT_MODEL,
+  call: (input, opts) => callMiniMax(input, opts),
+};
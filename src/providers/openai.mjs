@@ -0,0 +1,81 @@
+/**
+ * OpenAI provider — mid tier in the escalation chain.
+ *
+ * With a `promptId` it runs the stored prompt (the SAAS_IDEAS prompt in
+ * production); without one it sends `systemPrompt` (default: the SaaS idea
+ * prompt) as instructions to `model`, so OpenAI can also serve judge calls
+ * and tiers that don't use the stored prompt.
+ */
+
+import OpenAI from "openai";
+import { SAAS_IDEA_SYSTEM_PROMPT, formatIdeaInput } from "./saas-prompt.mjs";
+
+const clients = new Map();
+
+function client(apiKey) {
+  // The router retries (retry.mjs), so the SDK's own retries are off
+  if (!clients.has(apiKey)) clients.set(apiKey, new OpenAI({ apiKey, maxRetries: 0 }));
+  return clients.get(apiKey);
+}
+
+/**
+ * Call OpenAI through the Responses API.
+ *
+ * @param {string} input - The business idea (or raw prompt with `rawInput`)
+ * @param {Object} config
+ * @param {string} config.apiKey - OpenAI API key
+ * @param {string} [config.promptId] - Stored prompt ID
+ * @param {string} [config.promptVersion] - Stored prompt version (default "3")
+ * @param {string} [config.model] - Model ID, required without a stored prompt
+ * @param {string} [config.systemPrompt] - Instructions when no stored prompt is used (default: the SaaS idea prompt)
+ * @param {boolean} [config.rawInput] - Send `input` as-is instead of wrapping it as an idea
+ * @param {AbortSignal} [config.signal] - Aborts the request
+ * @returns {Promise<{outputText: string, model: string, usage: Object, reasoning: Object|null, latency: number, raw: Object}>}
+ */
+export async function callOpenAI(input, config) {
+  const { apiKey, promptId, promptVersion = "3", model, systemPrompt = SAAS_IDEA_SYSTEM_PROMPT, rawInput = false, signal } = config;
+
+  if (!apiKey) {
+    throw new Error("OpenAI API key required but not configured");
+  }
+  if (!promptId && !model) {
+    throw new Error("OpenAI call needs a stored promptId or a model");
+  }
+
+  const start = Date.now();
+
+  const request = promptId
+    ? {
+      prompt: { id: promptId, version: promptVersion },
+      input,
+      reasoning: { summary: "auto" },
+      store: true,
+      include: ["reasoning.encrypted_content", "web_search_call.action.sources"],
+    }
+    : { model, instructions: systemPrompt, input: formatIdeaInput(input, rawInput) };
+  if (promptId && model) request.model = model;
+
+  const response = await client(apiKey).responses.create(request, { signal });
+
+  return {
+    outputText: response.output_text,
+    model: response.model,
+    usage: response.usage,
+    reasoning: response.reasoning ?? null,
+    latency: Date.now() - start,
+    raw: response,
+  };
+}
+
+/**
+ * Priced for cost estimates until a stored prompt reports the model it runs —
+ * the dearest OpenAI entry in DEFAULT_PRICING, so a budget errs on the safe side.
+ */
+const ESTIMATE_MODEL = "gpt-4o";
+
+/** Registry adapter — see providers.mjs. */
+export const openaiProvider = {
+  id: "openai",
+  call: (input, opts) => callOpenAI(input, opts),
+  defaultModel: ESTIMATE_MODEL,
+};
@@ -2,183 +2,682 @@
  * Quality Gate — scores AI responses 0.0–1.0 before returning them.
  *
  * Checks for:
- *   - XML well-formedness (tags open/close properly)
- *   - Expected structure (<response><text>...<probability>)
- *   - Probability sanity (0.0–1.0, sum ≤ 1.0)
- *   - Scoring rubric completeness (10 categories present)
- *   - Prompt injection artifacts (system/assistant role leaks, instruction override attempts)
+ *   - XML well-formedness (tokenized; reports the unbalanced tag with line:column)
+ *   - Expected structure (<response><text>...<probability>), with a drift
+ *     penalty for JSON / Markdown / fenced or reordered XML output
+ *   - Probability sanity (0.0–1.0, sum ≤ 1.0) and calibration (rubric band,
+ *     degenerate distributions, ordering against each variant's total)
+ *   - Scoring rubric completeness (dimensions declared by the rubric)
+ *   - Hard filters (a tripped filter must be declared a fail and offer a pivot)
+ *   - Prompt injection artifacts (role leaks, override phrases, encoded/obfuscated payloads)
  *   - Formatting consistency (all responses follow same structure)
+ *   - Diversity (variants must not be near-duplicates of one another)
+ *   - Leakage (API keys, card numbers, emails, phone numbers, IPs)
+ *   - Language (length measured per script; optional required output language)
+ *   - Relevance to the input idea (when `input` is passed; keyword overlap or a custom scorer)
  *
- * Returns { score, issues, responses, passesGate }
+ * Rubric lines are matched on NFKC-normalised text, so full-width digits
+ * and colons ("セルフサービス：８/10") read like their ASCII forms, and
+ * rubrics may declare localized dimension labels.
+ *
+ * What counts as "complete" comes from a rubric (see rubrics.mjs).
+ * `qualityGate` grades against the built-in SaaS idea rubric;
+ * `createGate(rubric)` builds a gate for any other prompt.
+ *
+ * Returns { score, issues, responses, passesGate, calibration, diversity }
+ *
+ * `createStreamingGate()` scores each <response> block as it closes while
+ * output is still streaming, and says when passing has become impossible.
  */
 
+import { defineRubric, saasIdeaRubric } from "./rubrics.mjs";
+import { parseOutput } from "./parsers.mjs";
+import { checkXml, createXmlTokenizer, tokenSource } from "./xml.mjs";
+import { detectInjection } from "./injection.mjs";
+import { detectLeakage } from "./leakage.mjs";
+import { measureDiversity } from "./diversity.mjs";
+import { analyzeProbabilities } from "./calibration.mjs";
+import { detectLanguage, measureLength, LENGTH_DENSITY } from "./language.mjs";
+import { keywordRelevance } from "./relevance.mjs";
+
 const QUALITY_THRESHOLD = 0.70;
+const OUTPUT_TAGS = ["response", "text", "probability"];
 
 /**
- * Parse XML responses from the raw output text.
+ * Parse responses from the raw output text.
  * Handles the multi-response format: <response><text>...</text><probability>N</probability></response>
+ * plus the drifted formats recognised by parseOutput (JSON, Markdown, fenced or reordered XML).
  */
 export function parseResponses(outputText) {
-  const responses = [];
-  const responseRegex = /<response>\s*<text>([\s\S]*?)<\/text>\s*<probability>([\s\S]*?)<\/probability>\s*<\/response>/g;
-  let match;
-
-  while ((match = responseRegex.exec(outputText)) !== null) {
-    responses.push({
-      text: match[1].trim(),
-      probability: parseFloat(match[2].trim()),
+  return parseOutput(outputText).responses;
+}
+
+/**
+ * Extract per-dimension scores and the reported total from a response text.
+ *
+ * Dimension labels are matched loosely (case, punctuation and spacing are
+ * ignored), so "Narrow Scope Strong Utility: 7/10" matches the
+ * "Narrow Scope, Strong Utility" dimension. Only the first occurrence of
+ * each label counts — later occurrences usually belong to a pivot's own
+ * scoring block. The text is NFKC-normalised first, and a dimension also
+ * matches any of its localized labels (rubric.labels).
+ *
+ * @param {string} text - A single response text
+ * @param {import("./rubrics.mjs").Rubric} [rubric] - Defaults to the SaaS idea rubric
+ * @returns {{dimensions: Array<{dimension: string, score: number, max: number}>, missing: string[], sum: number, total: number|null, totalMax: number|null}}
+ */
+export function extractRubricScores(text, rubric = saasIdeaRubric) {
+  const dimensions = [];
+  const missing = [];
+  text = text.normalize("NFKC");
+
+  for (const dimension of rubric.dimensions) {
+    const match = dimensionLabels(dimension, rubric.labels).map(label => text.match(dimensionPattern(label))).find(Boolean);
+    if (!match) {
+      missing.push(dimension);
+      continue;
+    }
+    dimensions.push({
+      dimension,
+      score: parseFloat(match[1]),
+      max: match[2] ? parseFloat(match[2]) : rubric.dimensionMax,
     });
   }
 
-  return responses;
+  const totalMatch = rubric.total ? text.match(rubric.total.pattern) : null;
+
+  return {
+    dimensions,
+    missing,
+    sum: dimensions.reduce((sum, d) => sum + d.score, 0),
+    total: totalMatch ? parseFloat(totalMatch[1]) : null,
+    totalMax: rubric.total ? rubric.total.max : null,
+  };
+}
+
+const dimensionPatternCache = new Map();
+
+function dimensionPattern(label) {
+  if (!dimensionPatternCache.has(label)) {
+    const words = label.normalize("NFKC").toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+    // label words, optional qualifier like "(HF1)", then ":" / "—" / "-" and the score
+    const source = `${words.join("[^\\p{L}\\p{N}\\n]*")}(?:\\s*\\([^)\\n]*\\))?[^\\n:\\d]{0,30}?[:=—–-]\\s*(\\d+(?:\\.\\d+)?)(?:\\s*\\/\\s*(\\d+))?`;
+    dimensionPatternCache.set(label, new RegExp(source, "iu"));
+  }
+  return dimensionPatternCache.get(label);
+}
+
+/** The canonical label first, then its translations in every declared language. */
+function dimensionLabels(dimension, labels = {}) {
+  return [dimension, ...Object.values(labels).flatMap(byDimension => byDimension[dimension] ?? [])];
 }
 
 /**
- * Score a single parsed response for quality.
+ * Attach rubric scores and the detected language to a parsed response.
  */
-function scoreResponse(response, index) {
+function annotate(response, rubric) {
+  if (rubric.dimensions.length > 0 || rubric.total) response.scores = extractRubricScores(response.text, rubric);
+  response.language = detectLanguage(response.text);
+}
+
+/**
+ * Score a single parsed response for quality against a rubric.
+ * `options` are the gate options (`input` and `relevance` are read here).
+ */
+function scoreResponse(response, index, rubric, options = {}) {
   const issues = [];
+  const deductions = [];
+  const { weights } = rubric;
   let score = 1.0;
+  const text = response.text.normalize("NFKC");
+  const language = response.language ?? detectLanguage(response.text);
+  const length = measureLength(response.text, language.language);
+
+  function deduct(check, points) {
+    deductions.push({ check, points });
+    score -= points;
+  }
 
   // 1. Probability sanity
   if (isNaN(response.probability) || response.probability < 0 || response.probability > 1) {
-    issues.push({ category: "probability", severity: "critical", message: `Response ${index}: probability ${response.probability} out of range` });
-    score -= 0.3;
+    issues.push({ check: "probability.range", category: "probability", severity: "critical", message: `Response ${index}: probability ${response.probability} out of range` });
+    deduct("probability.range", weights["probability.range"]);
+  } else if (response.probability < rubric.probability.min || response.probability > rubric.probability.max) {
+    issues.push({ check: "probability.band", category: "probability", severity: "warning", message: `Response ${index}: probability ${response.probability} outside ${rubric.probability.min}–${rubric.probability.max}` });
+    deduct("probability.band", weights["probability.band"]);
   }
 
   // 2. Scoring rubric — detect multiple formats
   //    Format A: "1) Category: 8" (numbered list)
   //    Format B: "Category: 8/10" or "Category — 8"
   //    Format C: Prose with embedded scores
-  const formatA = response.text.match(/^\d+\)\s+.+:\s+\d+/gm) || [];
-  const formatB = response.text.match(/\b\w[\w\s]+:\s+\d+(?:\/10)?/gm) || [];
-  const totalMatch = response.text.match(/Total:\s*(\d+)\/100/);
-  const hasScoreTable = response.text.match(/\|\s*\d+\s*\|/g) || [];
+  const dimensionCount = rubric.dimensions.length;
+  const formatA = text.match(/^\d+\)\s*.+:\s*\d+/gmu) || [];
+  // Labels start at a word boundary and run at most 100 characters, so a long
+  // reply without colons is scanned in linear time
+  const formatB = text.match(/(?<![\p{L}\p{N}_])[\p{L}\p{N}_][\p{L}\p{N}_\s]{0,100}:\s*\d+(?:\/10)?/gmu) || [];
+  const totalMatch = rubric.total ? text.match(rubric.total.pattern) : null;
+  const hasScoreTable = text.match(/\|\s*\d+\s*\|/g) || [];
 
   const bestScoreCount = Math.max(formatA.length, formatB.length, hasScoreTable.length);
+  const halfDimensions = Math.ceil(dimensionCount / 2);
 
-  if (bestScoreCount < 5 && !totalMatch) {
-    // Only penalize if BOTH specific scores and total are missing — likely a format variant
-    issues.push({ category: "rubric", severity: "info", message: `Response ${index}: non-standard scoring format (${bestScoreCount} score-like items found)` });
-    score -= 0.05;
-  } else if (bestScoreCount < 10 && formatA.length > 0) {
-    // Has numbered format but incomplete
-    issues.push({ category: "rubric", severity: "warning", message: `Response ${index}: found ${formatA.length}/10 rubric scores` });
-    score -= 0.1 * (10 - formatA.length) / 10;
+  if (dimensionCount > 0) {
+    if (bestScoreCount < halfDimensions && !totalMatch) {
+      // Only penalize if BOTH specific scores and total are missing — likely a format variant
+      issues.push({ check: "rubric.nonstandard", category: "rubric", severity: "info", message: `Response ${index}: non-standard scoring format (${bestScoreCount} score-like items found)` });
+      deduct("rubric.nonstandard", weights["rubric.nonstandard"]);
+    } else if (bestScoreCount < dimensionCount && formatA.length > 0) {
+      // Has numbered format but incomplete
+      issues.push({ check: "rubric.incomplete", category: "rubric", severity: "warning", message: `Response ${index}: found ${formatA.length}/${dimensionCount} rubric scores` });
+      deduct("rubric.incomplete", weights["rubric.incomplete"] * (dimensionCount - formatA.length) / dimensionCount);
+    }
   }
 
   // 3. Total score present (lighter penalty if format is just different)
-  if (!totalMatch && bestScoreCount >= 5) {
-    issues.push({ category: "rubric", severity: "info", message: `Response ${index}: missing Total: X/100 (may be format variant)` });
-    score -= 0.03;
-  } else if (!totalMatch && bestScoreCount < 5) {
-    issues.push({ category: "rubric", severity: "warning", message: `Response ${index}: missing Total: X/100` });
-    score -= 0.1;
-  }
-
-  // 4. Pivot/alternative section OR substantive content (>300 chars)
-  const hasPivot = /(?:pivot|alternative|reframe|high.leverage|polar|how\s+it\s+works|integration)/i.test(response.text);
-  if (!hasPivot && response.text.length < 300) {
-    issues.push({ category: "structure", severity: "warning", message: `Response ${index}: no pivot/alternative section and short content` });
-    score -= 0.1;
-  }
-
-  // 5. Prompt injection artifacts
-  const injectionPatterns = [
-    /\bsystem\s*:\s*/i,
-    /\bassistant\s*:\s*/i,
-    /\bignore\s+(previous|above|all)\s+instructions/i,
-    /\byou\s+are\s+(now|a)\b/i,
-    /\bdo\s+not\s+follow/i,
-    /<\/?(?:system|instruction|prompt)>/i,
-  ];
-
-  for (const pattern of injectionPatterns) {
-    if (pattern.test(response.text)) {
-      issues.push({ category: "injection", severity: "critical", message: `Response ${index}: prompt injection artifact detected: ${pattern}` });
-      score -= 0.4;
-      break;
+  if (rubric.total && !totalMatch) {
+    if (dimensionCount > 0 && bestScoreCount >= halfDimensions) {
+      issues.push({ check: "rubric.total_variant", category: "rubric", severity: "info", message: `Response ${index}: missing ${rubric.total.label} (may be format variant)` });
+      deduct("rubric.total_variant", weights["rubric.total_variant"]);
+    } else {
+      issues.push({ check: "rubric.total_missing", category: "rubric", severity: "warning", message: `Response ${index}: missing ${rubric.total.label}` });
+      deduct("rubric.total_missing", weights["rubric.total_missing"]);
+    }
+  }
+
+  // 3b. Arithmetic — dimension scores should add up to the reported total
+  const scores = response.scores;
+  if (scores && scores.total !== null && rubric.dimensions.length > 0 && scores.missing.length === 0) {
+    const maxSum = scores.dimensions.reduce((sum, d) => sum + d.max, 0);
+    const expected = maxSum > 0 && maxSum !== scores.totalMax ? scores.sum * scores.totalMax / maxSum : scores.sum;
+    const tolerance = rubric.total.tolerance ?? 1;
+    if (Math.abs(expected - scores.total) > tolerance) {
+      issues.push({ check: "rubric.arithmetic", category: "rubric", severity: "warning", message: `Response ${index}: dimension scores sum to ${+expected.toFixed(2)} but reported ${rubric.total.label.replace("X", scores.total)}` });
+      deduct("rubric.arithmetic", weights["rubric.arithmetic"]);
     }
   }
 
-  // 6. Text length sanity (too short = truncated, too long = runaway)
-  if (response.text.length < 100) {
-    issues.push({ category: "formatting", severity: "warning", message: `Response ${index}: suspiciously short (${response.text.length} chars)` });
-    score -= 0.2;
+  // 3c. Hard filters — a tripped filter must be declared a fail and come with a pivot
+  if (scores && rubric.hardFilters.length > 0) {
+    const tripped = rubric.hardFilters
+      .map(filter => ({ filter, entry: scores.dimensions.find(d => d.dimension === filter.dimension) }))
+      .filter(({ filter, entry }) => entry && entry.score < filter.min);
+
+    if (tripped.length > 0) {
+      const names = tripped.map(({ filter, entry }) => `${filter.id} (${filter.dimension}) scored ${entry.score} < ${filter.min}`).join(", ");
+      if (!rubric.failPattern.test(text)) {
+        issues.push({ check: "hard_filter.no_fail", category: "hard_filter", severity: "critical", message: `Response ${index}: ${names} but response does not declare a fail` });
+        deduct("hard_filter.no_fail", weights["hard_filter.no_fail"]);
+      }
+      if (!rubric.pivotPattern.test(text)) {
+        issues.push({ check: "hard_filter.no_pivot", category: "hard_filter", severity: "warning", message: `Response ${index}: ${names} but no pivot offered` });
+        deduct("hard_filter.no_pivot", weights["hard_filter.no_pivot"]);
+      }
+    }
   }
-  if (response.text.length > 10000) {
-    issues.push({ category: "formatting", severity: "warning", message: `Response ${index}: unusually long (${response.text.length} chars)` });
-    score -= 0.05;
+
+  // 4. Required sections (e.g. pivot/alternative) — optionally waived for substantive content
+  for (const section of rubric.requiredSections) {
+    if (section.pattern.test(text)) continue;
+    if (section.unlessLength != null && length.units >= section.unlessLength) continue;
+
+    const message = section.unlessLength != null
+      ? `Response ${index}: no ${section.label} and short content`
+      : `Response ${index}: missing ${section.label}`;
+    issues.push({ check: "structure.section", category: "structure", severity: "warning", message });
+    deduct("structure.section", section.weight ?? weights["structure.section"]);
   }
 
-  return { score: Math.max(0, score), issues };
+  // 5. Prompt injection artifacts — penalty scales with detector confidence
+  const injection = detectInjection(response.text);
+  if (injection.detected) {
+    const labels = [...new Set(injection.matches.map(m => m.label))].join(", ");
+    issues.push({
+      check: "injection",
+      category: "injection",
+      severity: injection.confidence >= 0.5 ? "critical" : "warning",
+      message: `Response ${index}: prompt injection artifact detected: ${labels} (confidence ${injection.confidence})`,
+      confidence: injection.confidence,
+      matches: injection.matches,
+    });
+    deduct("injection", weights["injection"] * injection.confidence);
+  }
+
+  // 6. Text length sanity (too short = truncated, too long = runaway), in English-equivalent chars
+  const measured = LENGTH_DENSITY[language.language]
+    ? `${length.graphemes} ${language.language} graphemes ≈ ${length.units} chars`
+    : `${length.units} chars`;
+  if (length.units < rubric.length.min) {
+    issues.push({ check: "formatting.short", category: "formatting", severity: "warning", message: `Response ${index}: suspiciously short (${measured})` });
+    deduct("formatting.short", weights["formatting.short"]);
+  }
+  if (length.units > rubric.length.max) {
+    issues.push({ check: "formatting.long", category: "formatting", severity: "warning", message: `Response ${index}: unusually long (${measured})` });
+    deduct("formatting.long", weights["formatting.long"]);
+  }
+
+  // 6b. Output language — only when the rubric requires one and detection is confident
+  const required = [].concat(rubric.language ?? []);
+  if (required.length > 0 && language.language !== "und" && language.confidence >= 0.5 && !required.includes(language.language)) {
+    issues.push({ check: "language.mismatch", category: "language", severity: "warning", message: `Response ${index}: written in ${language.language}, rubric requires ${required.join(" or ")}` });
+    deduct("language.mismatch", weights["language.mismatch"]);
+  }
+
+  // 7. Leakage — secrets and PII must not reach the user (matches stay out of the issue)
+  const leakage = detectLeakage(response.text);
+  for (const cls of ["secret", "pii"]) {
+    const found = leakage.findings.filter(f => f.class === cls);
+    if (found.length === 0) continue;
+    const kinds = [...new Set(found.map(f => f.kind))].join(", ");
+    issues.push({
+      check: `leakage.${cls}`,
+      category: "leakage",
+      severity: cls === "secret" ? "critical" : "warning",
+      message: `Response ${index}: ${cls === "secret" ? "secret" : "PII"} leaked (${kinds})`,
+      findings: found.map(({ kind, label, offset, match }) => ({ kind, label, offset, length: match.length })),
+    });
+    deduct(`leakage.${cls}`, weights[`leakage.${cls}`]);
+  }
+
+  // 8. Relevance — the response should be about the idea that was sent
+  if (options.input) {
+    const { scorer = keywordRelevance, threshold = 0.25 } = options.relevance || {};
+    response.relevance = scorer(options.input, response.text);
+    if (response.relevance < threshold) {
+      issues.push({ check: "off_topic", category: "relevance", severity: "warning", message: `Response ${index}: does not appear to address the input (relevance ${response.relevance} < ${threshold})`, relevance: response.relevance });
+      deduct("off_topic", weights["off_topic"]);
+    }
+  }
+
+  return { score: Math.max(0, score), issues, deductions, redactedText: leakage.redacted };
 }
 
 /**
- * Run the full quality gate on raw output text from the AI response.
+ * Create a quality gate bound to a rubric.
  *
- * @param {string} outputText - The raw output_text from the API response
- * @returns {{ score: number, issues: Array, responses: Array, passesGate: boolean, threshold: number }}
+ * @param {import("./rubrics.mjs").Rubric|Object} rubric - A rubric (partial rubrics are filled with defaults)
+ * @returns {(outputText: string, options?: GateOptions) => GateResult}
+ */
+export function createGate(rubric) {
+  const resolved = defineRubric(rubric);
+
+  return function gate(outputText, options = {}) {
+    return runGate(outputText, applyPolicy(resolved, options.policy), options);
+  };
+}
+
+/**
+ * @typedef {Object} GateOptions
+ * @property {boolean} [explain] - Include the deduction tree behind the score as `explanation`
+ * @property {GatePolicy} [policy] - Per-check penalty, severity and veto overrides
+ * @property {number} [threshold] - Pass threshold (default QUALITY_THRESHOLD)
+ * @property {boolean} [redact] - Add `redactedText` (secrets/PII replaced with [REDACTED:kind]) to each response
+ * @property {string} [input] - The idea/prompt the output answers; enables the relevance check
+ * @property {{scorer?: import("./relevance.mjs").RelevanceScorer, threshold?: number}} [relevance] - Relevance scorer
+ *   (default keywordRelevance) and the score below which a response is off topic (default 0.25)
+ */
+
+/**
+ * @typedef {Object<string, {penalty?: number, severity?: "info"|"warning"|"critical", veto?: boolean}>} GatePolicy
+ * Keyed by check id (see DEFAULT_WEIGHTS in rubrics.mjs). `penalty` replaces
+ * the rubric weight, `severity` relabels the issues, and `veto` fails the
+ * gate whenever the check fires, regardless of score.
+ */
+
+/**
+ * Fold a policy's penalties into the rubric weights for one gate run.
+ */
+function applyPolicy(rubric, policy) {
+  if (!policy) return rubric;
+
+  const weights = { ...rubric.weights };
+  for (const [check, rule] of Object.entries(policy)) {
+    if (rule.penalty !== undefined) weights[check] = rule.penalty;
+  }
+
+  // An explicit section penalty in the policy beats per-section rubric weights
+  const requiredSections = policy["structure.section"]?.penalty !== undefined
+    ? rubric.requiredSections.map(({ weight, ...section }) => section)
+    : rubric.requiredSections;
+
+  return { ...rubric, weights, requiredSections, policy };
+}
+
+/**
+ * @typedef {Object} GateResult
+ * @property {number} score - Composite score 0.0–1.0
+ * @property {Array} issues - { check, category, severity, message }
+ * @property {Array} responses - Parsed { text, probability, scores?, language, relevance?, redactedText? } variants
+ *   (scores from extractRubricScores, language from detectLanguage)
+ * @property {boolean} passesGate - score >= threshold and no vetoed check fired
+ * @property {number} threshold
+ * @property {string[]} vetoed - Check ids whose policy veto forced a fail
+ * @property {string} rubric - Name of the rubric the output was graded against
+ * @property {string|null} format - Detected output format (see OUTPUT_FORMATS in parsers.mjs)
+ * @property {{entropy: number|null, normalizedEntropy: number|null, correlation: number|null}|null} calibration - Shannon entropy
+ *   (bits) of the probability distribution, and its Kendall rank correlation with the variants' totals
+ * @property {number|null} relevance - Mean relevance of the responses to `input` (null without one)
+ * @property {number|null} diversity - 1 minus the mean pairwise similarity of the variants (null with fewer than two)
+ * @property {Object} [explanation] - With `explain: true`: { score, base, output, responses, adjustments }.
+ *   Each deduction is { check, index?, points, weight, impact }; base minus every impact equals score.
  */
-export function qualityGate(outputText) {
+
+function runGate(outputText, rubric, options = {}) {
+  const threshold = options.threshold ?? QUALITY_THRESHOLD;
   const allIssues = [];
+  const deductions = [];
+  const { weights } = rubric;
   let totalScore = 1.0;
 
-  // 1. XML well-formedness — check for unclosed tags
-  const openTags = (outputText.match(/<response>/g) || []).length;
-  const closeTags = (outputText.match(/<\/response>/g) || []).length;
-  if (openTags !== closeTags) {
-    allIssues.push({ category: "xml", severity: "critical", message: `Mismatched <response> tags: ${openTags} open, ${closeTags} close` });
-    totalScore -= 0.3;
+  function deduct(check, points) {
+    deductions.push({ check, points });
+    totalScore -= points;
   }
 
-  // 2. Parse responses
-  const responses = parseResponses(outputText);
+  // 1. Parse responses
+  const { format, responses } = parseOutput(outputText);
+
+  // 2. XML well-formedness — tokenize and report the exact unbalanced tag.
+  // Only the output's own tags count; code like Array<string> in a response is text
+  if (format === null || format.startsWith("xml")) {
+    const xmlIssues = checkXml(outputText, { tags: OUTPUT_TAGS });
+    const structural = xmlIssues.filter(i => i.kind !== "comment");
+
+    for (const xi of xmlIssues) {
+      const hidden = xi.kind === "comment";
+      allIssues.push({
+        check: hidden ? "xml.comment" : "xml.mismatch",
+        category: "xml",
+        severity: hidden ? "warning" : "critical",
+        message: xi.message,
+        tag: xi.tag,
+        line: xi.line,
+        column: xi.column,
+      });
+    }
+    if (structural.length > 0) deduct("xml.mismatch", weights["xml.mismatch"]);
+    if (structural.length < xmlIssues.length) deduct("xml.comment", weights["xml.comment"]);
+  }
 
   if (responses.length === 0) {
-    allIssues.push({ category: "xml", severity: "critical", message: "No valid <response> blocks parsed" });
-    return { score: 0, issues: allIssues, responses: [], passesGate: false, threshold: QUALITY_THRESHOLD };
+    allIssues.push({ check: "xml.empty", category: "xml", severity: "critical", message: "No valid <response> blocks parsed" });
+    const result = { score: 0, issues: applySeverity(allIssues, rubric.policy), responses: [], passesGate: false, threshold, rubric: rubric.name, format, vetoed: [], calibration: null, relevance: null, diversity: null };
+    if (options.explain) {
+      const base = rubric.composite.output + rubric.composite.responses;
+      result.explanation = { score: 0, base, output: { weight: base, score: 0, impact: base, deductions: [{ check: "xml.empty", points: 1, weight: base, impact: base }] }, responses: [], adjustments: [] };
+    }
+    return result;
+  }
+
+  // 3. Format drift — parsed, but not in the requested XML format
+  if (format !== "xml") {
+    allIssues.push({ check: `format.${format}`, category: "format", severity: "warning", message: `Output parsed as ${format} instead of <response> XML` });
+    deduct(`format.${format}`, weights[`format.${format}`]);
   }
 
-  // 3. Expected count (prompt generates 5)
-  if (responses.length < 3) {
-    allIssues.push({ category: "completeness", severity: "warning", message: `Only ${responses.length} responses (expected 5)` });
-    totalScore -= 0.15;
+  // Attach per-dimension scores (so callers can chart them) and the detected language
+  for (const r of responses) annotate(r, rubric);
+
+  // 4. Expected count
+  if (responses.length < rubric.responses.min) {
+    const expected = rubric.responses.expected ?? rubric.responses.min;
+    allIssues.push({ check: "completeness.count", category: "completeness", severity: "warning", message: `Only ${responses.length} responses (expected ${expected})` });
+    deduct("completeness.count", weights["completeness.count"]);
   }
 
-  // 4. Probability sum check
+  // 5. Probability sum check
   const probSum = responses.reduce((sum, r) => sum + r.probability, 0);
   if (probSum > 1.0) {
-    allIssues.push({ category: "probability", severity: "critical", message: `Probability sum ${probSum.toFixed(3)} exceeds 1.0` });
-    totalScore -= 0.2;
+    allIssues.push({ check: "probability.sum", category: "probability", severity: "critical", message: `Probability sum ${probSum.toFixed(3)} exceeds 1.0` });
+    deduct("probability.sum", weights["probability.sum"]);
   }
 
-  // 5. Score each response individually
-  const responseScores = responses.map((r, i) => scoreResponse(r, i));
-  const avgResponseScore = responseScores.reduce((sum, r) => sum + r.score, 0) / responseScores.length;
+  // 5b. Calibration — degenerate shapes and ordering against each variant's own total
+  const band = rubric.probability;
+  const calibration = analyzeProbabilities(responses.map(r => r.probability), {
+    totals: responses.map(r => r.scores?.total ?? null),
+    cap: band.max < 1 ? band.max : null,
+    dominance: band.dominance,
+  });
+  if (calibration.degenerate.length > 0) {
+    const [shape] = calibration.degenerate;
+    allIssues.push({ check: "probability.degenerate", category: "probability", severity: "warning", message: `Degenerate probability distribution: ${shape.message}`, kind: shape.kind });
+    deduct("probability.degenerate", weights["probability.degenerate"]);
+  }
+  if (band.ordering && calibration.correlation !== null) {
+    const agreement = band.ordering === "descending" ? -calibration.correlation : calibration.correlation;
+    if (agreement < 0) {
+      allIssues.push({ check: "probability.ordering", category: "probability", severity: "info", message: `Probabilities rank against the variants' totals (expected ${band.ordering}, Kendall tau ${calibration.correlation})` });
+      deduct("probability.ordering", weights["probability.ordering"]);
+    }
+  }
+
+  // 6. Score each response individually
+  const responseScores = responses.map((r, i) => scoreResponse(r, i, rubric, options));
 
   for (const rs of responseScores) {
     allIssues.push(...rs.issues);
   }
 
-  // 6. Structural consistency — all responses should have similar structure
-  const hasScoresFlags = responses.map(r => /^\d+\)\s+/m.test(r.text));
-  const allHaveScores = hasScoresFlags.every(Boolean);
-  if (!allHaveScores && hasScoresFlags.some(Boolean)) {
-    allIssues.push({ category: "consistency", severity: "warning", message: "Inconsistent scoring structure across responses" });
-    totalScore -= 0.1;
+  // Scrubbed copies for callers that forward text to users
+  if (options.redact) {
+    responses.forEach((r, i) => { r.redactedText = responseScores[i].redactedText; });
+  }
+
+  // 7. Structural consistency — all responses should have similar structure
+  if (rubric.dimensions.length > 0) {
+    const hasScoresFlags = responses.map(r => /^\d+\)\s+/m.test(r.text));
+    const allHaveScores = hasScoresFlags.every(Boolean);
+    if (!allHaveScores && hasScoresFlags.some(Boolean)) {
+      allIssues.push({ check: "consistency.structure", category: "consistency", severity: "warning", message: "Inconsistent scoring structure across responses" });
+      deduct("consistency.structure", weights["consistency.structure"]);
+    }
   }
 
+  // 8. Diversity — variants that repeat one another are not really variants
+  const diversity = measureDiversity(responses.map(r => r.text), rubric.diversity);
+  if (diversity.duplicates.length > 0) {
+    const redundant = new Set(diversity.duplicates.map(p => p.b));
+    const pairs = diversity.duplicates.map(p => `${p.a} and ${p.b} (similarity ${p.similarity})`).join(", ");
+    allIssues.push({
+      check: "diversity",
+      category: "diversity",
+      severity: "warning",
+      message: `Near-duplicate responses: ${pairs}`,
+      pairs: diversity.duplicates,
+    });
+    deduct("diversity", weights["diversity"] * redundant.size / (responses.length - 1));
+    // A repeat also loses its place in the response average, so a set of copies can't pass
+    for (const index of redundant) {
+      const rs = responseScores[index];
+      rs.deductions.push({ check: "diversity.redundant", points: weights["diversity.redundant"] });
+      rs.score = Math.max(0, 1 - sum(rs.deductions.map(d => d.points)));
+    }
+  }
+  const avgResponseScore = responseScores.reduce((sum, r) => sum + r.score, 0) / responseScores.length;
+
   // Final composite score
-  const compositeScore = Math.max(0, Math.min(1, (totalScore * 0.4 + avgResponseScore * 0.6)));
+  const { composite } = rubric;
+  const compositeScore = Math.max(0, Math.min(1, (totalScore * composite.output + avgResponseScore * composite.responses)));
+  const score = parseFloat(compositeScore.toFixed(3));
 
-  return {
-    score: parseFloat(compositeScore.toFixed(3)),
-    issues: allIssues,
+  // Vetoed checks fail the gate no matter how high the score is
+  const policy = rubric.policy || {};
+  const vetoed = [...new Set(allIssues.filter(i => policy[i.check]?.veto).map(i => i.check))];
+
+  const result = {
+    score,
+    issues: applySeverity(allIssues, policy),
     responses,
-    passesGate: compositeScore >= QUALITY_THRESHOLD,
-    threshold: QUALITY_THRESHOLD,
+    passesGate: compositeScore >= threshold && vetoed.length === 0,
+    threshold,
+    rubric: rubric.name,
+    format,
+    vetoed,
+    calibration: { entropy: calibration.entropy, normalizedEntropy: calibration.normalizedEntropy, correlation: calibration.correlation },
+    relevance: options.input ? parseFloat((sum(responses.map(r => r.relevance)) / responses.length).toFixed(3)) : null,
+    diversity: diversity.score,
   };
+
+  if (options.explain) {
+    result.explanation = explainScore({ score, rubric, totalScore, deductions, responseScores });
+  }
+
+  return result;
+}
+
+function applySeverity(issues, policy) {
+  if (!policy) return issues;
+  return issues.map(i => (policy[i.check]?.severity ? { ...i, severity: policy[i.check].severity } : i));
 }
 
-export { QUALITY_THRESHOLD };
+/**
+ * Build the deduction tree behind a composite score.
+ *
+ * Every output-level deduction counts at the rubric's output weight; every
+ * per-response deduction counts at the responses weight divided by the
+ * number of responses (it lowers the average). Adjustments cover the
+ * per-response floor at 0, the [0, 1] clamp and rounding, so that
+ * `base - sum(impact)` over the whole tree equals the final score.
+ */
+function explainScore({ score, rubric, totalScore, deductions, responseScores }) {
+  const { composite } = rubric;
+  const base = composite.output + composite.responses;
+  const perResponse = composite.responses / responseScores.length;
+  const adjustments = [];
+
+  const output = {
+    weight: composite.output,
+    score: totalScore,
+    deductions: deductions.map(d => ({ ...d, weight: composite.output, impact: d.points * composite.output })),
+  };
+  output.impact = sum(output.deductions.map(d => d.impact));
+
+  const responses = responseScores.map((rs, index) => {
+    const node = {
+      index,
+      weight: perResponse,
+      score: rs.score,
+      deductions: rs.deductions.map(d => ({ ...d, index, weight: perResponse, impact: d.points * perResponse })),
+    };
+    node.impact = sum(node.deductions.map(d => d.impact));
+
+    const deducted = sum(rs.deductions.map(d => d.points));
+    if (deducted > 1) {
+      // Response scores floor at 0 — give back what was deducted past zero
+      adjustments.push({ check: "floor", index, points: 1 - deducted, weight: perResponse, impact: (1 - deducted) * perResponse });
+    }
+    return node;
+  });
+
+  const raw = totalScore * composite.output + sum(responseScores.map(rs => rs.score)) * perResponse;
+  const clamped = Math.max(0, Math.min(1, raw));
+  if (clamped !== raw) adjustments.push({ check: "clamp", impact: raw - clamped });
+  if (score !== clamped) adjustments.push({ check: "rounding", impact: clamped - score });
+
+  return { score, base, output, responses, adjustments };
+}
+
+function sum(values) {
+  return values.reduce((a, b) => a + b, 0);
+}
+
+/**
+ * @typedef {Object} StreamingUpdate
+ * @property {Array<{index: number, score: number, issues: Array, response: Object}>} blocks - Responses scored by this write
+ * @property {boolean} abort - Passing is no longer possible; cancel the stream
+ * @property {string|null} reason - Why passing became impossible
+ * @property {number} bound - Best composite score still reachable
+ */
+
+/**
+ * Create an incremental gate for streamed output. Feed it chunks with
+ * write(); every <response> block is scored as soon as it closes. Once the
+ * blocks seen so far cap the composite below the threshold (assuming every
+ * remaining expected response is perfect and no output-level check fires),
+ * or a vetoed check fires, each update says `abort: true`. end() runs the
+ * full gate over everything received.
+ *
+ * @param {import("./rubrics.mjs").Rubric|Object} [rubric] - Defaults to the SaaS idea rubric
+ * @param {GateOptions} [options]
+ * @returns {{write: (chunk: string) => StreamingUpdate, end: () => GateResult, blocks: Array, readonly aborted: boolean}}
+ */
+export function createStreamingGate(rubric = saasIdeaRubric, options = {}) {
+  const resolved = applyPolicy(defineRubric(rubric), options.policy);
+  const threshold = options.threshold ?? QUALITY_THRESHOLD;
+  const expected = resolved.responses.expected ?? resolved.responses.min;
+  const policy = resolved.policy || {};
+  const { composite } = resolved;
+  const tokenizer = createXmlTokenizer();
+  const blocks = [];
+  let text = "";
+  let block = null; // raw source of the <response> currently open
+  let depth = 0;
+  let reason = null;
+
+  function bound() {
+    const remaining = Math.max(0, expected - blocks.length);
+    if (blocks.length + remaining === 0) return 1;
+    const avg = (sum(blocks.map(b => b.score)) + remaining) / (blocks.length + remaining);
+    return composite.output + avg * composite.responses;
+  }
+
+  function score(raw) {
+    const [response] = parseOutput(raw).responses;
+    if (!response) return null;
+    annotate(response, resolved);
+
+    const index = blocks.length;
+    const rs = scoreResponse(response, index, resolved, options);
+    if (options.redact) response.redactedText = rs.redactedText;
+    const scored = { index, score: rs.score, issues: applySeverity(rs.issues, resolved.policy), response };
+    blocks.push(scored);
+
+    const vetoed = rs.issues.find(i => policy[i.check]?.veto);
+    if (!reason && vetoed) reason = `Response ${index}: vetoed check ${vetoed.check} fired`;
+    if (!reason && bound() < threshold) reason = `Best reachable score ${bound().toFixed(3)} < ${threshold} after ${blocks.length} responses`;
+    return scored;
+  }
+
+  function consume(tokens) {
+    const scored = [];
+    for (const token of tokens) {
+      const isResponse = token.name === "response";
+      if (token.type === "open" && isResponse) depth++;
+      if (depth > 0) block = (block ?? "") + tokenSource(token);
+      if (token.type === "close" && isResponse && depth > 0 && --depth === 0) {
+        const result = score(block);
+        if (result) scored.push(result);
+        block = null;
+      }
+    }
+    return { blocks: scored, abort: reason !== null, reason, bound: parseFloat(bound().toFixed(3)) };
+  }
+
+  return {
+    write(chunk) {
+      text += chunk;
+      return consume(tokenizer.write(chunk));
+    },
+    end() {
+      consume(tokenizer.end());
+      return runGate(text, resolved, { ...options, threshold });
+    },
+    blocks,
+    get aborted() {
+      return reason !== null;
+    },
+  };
+}
+
+/**
+ * Run the full quality gate on raw output text from the AI response,
+ * graded against the built-in SaaS idea rubric.
+ *
+ * @param {string} outputText - The raw output_text from the API response
+ * @param {GateOptions} [options]
+ * @returns {GateResult}
+ */
+export const qualityGate = createGate(saasIdeaRubric);
+
+export { QUALITY_THRESHOLD, saasIdeaRubric };
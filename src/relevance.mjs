@@ -0,0 +1,146 @@
+/**
+ * Relevance — are the responses about the idea that was sent?
+ *
+ * The default scorer is keyword recall: the share of the idea's content
+ * words (stopwords and generic SaaS vocabulary removed, crudely stemmed)
+ * that a response mentions. Likely entities — capitalised or alphanumeric
+ * tokens such as "Shopify" or "GPT-4" — count double. CJK text is split
+ * into character bigrams.
+ *
+ * Any `(input, text) => number` (0–1) can replace it. Embedding models are
+ * async while the gate is not, so createEmbeddingScorer() returns a scorer
+ * that reads from a cache filled by `await scorer.prepare(texts)` (the
+ * router does this before gating) and falls back to keywords on a miss.
+ *
+ * Usage:
+ *   keywordRelevance("Stripe invoice summaries for freelancers", responseText); // → 0.0–1.0
+ */
+
+/**
+ * @callback RelevanceScorer
+ * @param {string} input - The idea / prompt the responses should address
+ * @param {string} text - One response text
+ * @returns {number} 0.0–1.0
+ */
+
+const STOPWORDS = new Set([
+  "the", "and", "for", "with", "that", "this", "from", "into", "your", "their", "they", "them", "you", "are", "was",
+  "were", "will", "would", "can", "could", "should", "have", "has", "had", "not", "but", "who", "what", "when",
+  "where", "which", "while", "how", "all", "any", "each", "more", "most", "other", "some", "such", "than", "then",
+  "there", "these", "those", "its", "our", "out", "about", "over", "via", "per", "like", "just", "also", "very",
+  // generic product vocabulary every evaluation uses
+  "app", "apps", "tool", "tools", "platform", "service", "services", "saas", "software", "idea", "product", "business",
+  "user", "users", "customer", "customers", "online", "web", "based", "help", "helps", "allow", "allows", "using", "make", "makes",
+]);
+
+/**
+ * Content keywords of a text with their weights (entities count 2).
+ *
+ * @param {string} text
+ * @returns {Map<string, number>} stem → weight
+ */
+export function extractKeywords(text) {
+  const keywords = new Map();
+  const normalized = text.normalize("NFKC");
+
+  for (const m of normalized.matchAll(/[\p{L}\p{N}][\p{L}\p{N}'-]*/gu)) {
+    const token = m[0].replace(/'s$/i, "").replace(/^-+|-+$/g, "");
+
+    // Han/kana runs have no spaces — compare character bigrams instead
+    if (/[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}]/u.test(token)) {
+      for (let i = 0; i < token.length - 1; i++) keywords.set(token.slice(i, i + 2), 1);
+      continue;
+    }
+
+    const lower = token.toLowerCase();
+    if (lower.length < 3 || STOPWORDS.has(lower) || /^\d+$/.test(lower)) continue;
+
+    const sentenceStart = /(?:^|[.!?]\s+)$/.test(normalized.slice(0, m.index));
+    const entity = (/^\p{Lu}/u.test(token) && !sentenceStart) || /\p{Lu}.*\p{Lu}/u.test(token.slice(1)) || /\d/.test(token);
+    const key = stem(lower);
+    keywords.set(key, Math.max(keywords.get(key) || 0, entity ? 2 : 1));
+  }
+
+  return keywords;
+}
+
+/**
+ * Weighted share of the input's keywords that the text mentions.
+ * Returns 1 when the input has no keywords (nothing to check against).
+ *
+ * @type {RelevanceScorer}
+ */
+export function keywordRelevance(input, text) {
+  const wanted = extractKeywords(input);
+  if (wanted.size === 0) return 1;
+
+  const found = [...extractKeywords(text).keys()];
+  let total = 0;
+  let matched = 0;
+  for (const [key, weight] of wanted) {
+    total += weight;
+    if (found.some(candidate => sameStem(key, candidate))) matched += weight;
+  }
+  return parseFloat((matched / total).toFixed(3));
+}
+
+/**
+ * Build a relevance scorer on top of an embedding function.
+ *
+ * @param {(texts: string[]) => Promise<number[][]>} embed - Batch embedding call
+ * @param {Object} [options]
+ * @param {RelevanceScorer} [options.fallback] - Used when a text was not prepared (default keywordRelevance)
+ * @returns {RelevanceScorer & {prepare: (texts: string[]) => Promise<void>, cache: Map<string, number[]>}}
+ */
+export function createEmbeddingScorer(embed, options = {}) {
+  const { fallback = keywordRelevance } = options;
+  const cache = new Map();
+
+  const scorer = (input, text) => {
+    const a = cache.get(input);
+    const b = cache.get(text);
+    if (!a || !b) return fallback(input, text);
+    return parseFloat(Math.max(0, cosine(a, b)).toFixed(3));
+  };
+
+  scorer.prepare = async texts => {
+    const missing = [...new Set(texts)].filter(t => !cache.has(t));
+    if (missing.length === 0) return;
+    const vectors = await embed(missing);
+    missing.forEach((t, i) => cache.set(t, vectors[i]));
+  };
+  scorer.cache = cache;
+
+  return scorer;
+}
+
+function cosine(a, b) {
+  let dot = 0;
+  let na = 0;
+  let nb = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    na += a[i] * a[i];
+    nb += b[i] * b[i];
+  }
+  return na === 0 || nb === 0 ? 0 : dot / Math.sqrt(na * nb);
+}
+
+function stem(word) {
+  if (word.length > 4 && word.endsWith("ies")) return word.slice(0, -3) + "y";
+  if (word.length > 5 && word.endsWith("ing")) return word.slice(0, -3);
+  if (word.length > 4 && word.endsWith("ed")) return word.slice(0, -2);
+  if (word.length > 4 && word.endsWith("es")) return word.slice(0, -2);
+  if (word.length > 3 && word.endsWith("s") && !word.endsWith("ss")) return word.slice(0, -1);
+  return word;
+}
+
+// "summariz" (summarizes) ~ "summary" (summaries): long shared prefix
+function sameStem(a, b) {
+  if (a === b) return true;
+  const shorter = Math.min(a.length, b.length);
+  if (shorter < 5) return false;
+  let common = 0;
+  while (common < shorter && a[common] === b[common]) common++;
+  return common >= 5 && common >= shorter - 2;
+}
@@ -0,0 +1,64 @@
+/**
+ * Relevance scorer unit tests.
+ * Run: node --test src/relevance.test.mjs
+ */
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { extractKeywords, keywordRelevance, createEmbeddingScorer } from "./relevance.mjs";
+
+const IDEA = "A Chrome extension that summarizes Stripe invoices for freelancers";
+
+describe("extractKeywords", () => {
+  it("drops stopwords and generic product words, stems, and weights entities", () => {
+    assert.deepEqual(Object.fromEntries(extractKeywords("An app that helps Shopify merchants write product descriptions")), {
+      shopify: 2,
+      merchant: 1,
+      write: 1,
+      description: 1,
+    });
+  });
+
+  it("splits CJK text into bigrams", () => {
+    assert.deepEqual([...extractKeywords("請求書要約").keys()], ["請求", "求書", "書要", "要約"]);
+  });
+});
+
+describe("keywordRelevance", () => {
+  it("scores an on-topic evaluation highly despite inflections", () => {
+    const text = "As proposed: a browser extension giving Stripe invoice summaries to freelance designers.";
+    assert.equal(keywordRelevance(IDEA, text), 0.75); // everything but "Chrome"
+  });
+
+  it("scores an unrelated evaluation at zero", () => {
+    assert.equal(keywordRelevance(IDEA, "As proposed: a meal-kit delivery subscription for busy parents."), 0);
+  });
+
+  it("has nothing to check for an idea without keywords", () => {
+    assert.equal(keywordRelevance("an app for users", "anything"), 1);
+  });
+});
+
+describe("createEmbeddingScorer", () => {
+  const vectors = { [IDEA]: [1, 0], on: [0.8, 0.6], off: [0, 1] };
+  const embed = async texts => texts.map(t => vectors[t]);
+
+  it("scores prepared texts by cosine similarity", async () => {
+    const scorer = createEmbeddingScorer(embed);
+    await scorer.prepare([IDEA, "on", "off"]);
+    assert.equal(scorer(IDEA, "on"), 0.8);
+    assert.equal(scorer(IDEA, "off"), 0);
+  });
+
+  it("falls back to keywords for unprepared texts", () => {
+    const scorer = createEmbeddingScorer(embed);
+    assert.equal(scorer(IDEA, "Stripe invoices in Chrome"), keywordRelevance(IDEA, "Stripe invoices in Chrome"));
+  });
+
+  it("only embeds texts it has not seen", async () => {
+    const seen = [];
+    const scorer = createEmbeddingScorer(async texts => { seen.push(...texts); return embed(texts); });
+    await scorer.prepare([IDEA, "on"]);
+    await scorer.prepare([IDEA, "on", "off"]);
+    assert.deepEqual(seen, [IDEA, "on", "off"]);
+  });
+});
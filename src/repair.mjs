@@ -0,0 +1,61 @@
+/**
+ * Repair — ask a tier to fix its own output before escalating.
+ *
+ * Many gate failures are formatting slips the same model can fix when told
+ * what's wrong: a missing `Total:` line, probabilities summing past 1, an
+ * unclosed `</response>`. Escalating to a pricier model for those throws a
+ * nearly-good answer away. A repair sends the failed output and the gate's
+ * issues back to the same tier with a "fix these problems" instruction; the
+ * router re-gates the result and only escalates if it still fails.
+ *
+ * Only issues in the configured categories are repairable. A failure with a
+ * critical issue outside them (an injection attempt, a leaked secret) is
+ * not repaired — asking again won't make those trustworthy.
+ *
+ * Usage:
+ *   const issues = repairableIssues(gate, DEFAULT_REPAIR_CATEGORIES);
+ *   if (issues) await provider.call(buildRepairPrompt(idea, outputText, issues), { ...opts, rawInput: true });
+ */
+
+/** Issue categories a model can usually fix in its own output. */
+export const DEFAULT_REPAIR_CATEGORIES = ["xml", "format", "rubric", "probability", "completeness", "structure"];
+
+/**
+ * The issues worth a repair attempt, or null when the output shouldn't be
+ * repaired: nothing in `categories` to fix, or a critical issue outside them.
+ *
+ * @param {{issues: Array<{category: string, severity: string, message: string}>}} gate
+ * @param {string[]} [categories]
+ * @returns {Array|null}
+ */
+export function repairableIssues(gate, categories = DEFAULT_REPAIR_CATEGORIES) {
+  const fixable = gate.issues.filter(i => categories.includes(i.category) && i.severity !== "info");
+  if (fixable.length === 0) return null;
+  if (gate.issues.some(i => i.severity === "critical" && !categories.includes(i.category))) return null;
+  return fixable;
+}
+
+/**
+ * The user message for a repair call: the original idea, the failed output,
+ * and the problems to fix. Sent with `rawInput`, under the tier's usual
+ * system prompt, so the output format instructions still apply.
+ *
+ * @param {string} idea
+ * @param {string} outputText
+ * @param {Array<{message: string}>} issues
+ * @returns {string}
+ */
+export function buildRepairPrompt(idea, outputText, issues) {
+  return `Your evaluation of this SaaS idea failed automated quality checks.
+
+Idea:
+${idea}
+
+Your previous output:
+${outputText}
+
+Fix these problems:
+${issues.map(i => `- ${i.message}`).join("\n")}
+
+Return the complete corrected evaluation in the same format. Keep everything that was already right; change only what the problems require.`;
+}
@@ -0,0 +1,42 @@
+/**
+ * Repair prompt unit tests.
+ * Run: node --test src/repair.test.mjs
+ */
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { DEFAULT_REPAIR_CATEGORIES, repairableIssues, buildRepairPrompt } from "./repair.mjs";
+import { qualityGate } from "./quality-gate.mjs";
+
+const issue = (category, severity, message = `${category} problem`) => ({ check: `${category}.x`, category, severity, message });
+
+describe("repairableIssues", () => {
+  it("returns the fixable issues in the given categories", () => {
+    const gate = { issues: [issue("rubric", "warning"), issue("probability", "critical"), issue("diversity", "warning"), issue("rubric", "info")] };
+    assert.deepEqual(repairableIssues(gate).map(i => i.category), ["rubric", "probability"]);
+    assert.deepEqual(repairableIssues(gate, ["probability"]).map(i => i.category), ["probability"]);
+  });
+
+  it("returns null when there is nothing to repair", () => {
+    assert.equal(repairableIssues({ issues: [] }), null);
+    assert.equal(repairableIssues({ issues: [issue("diversity", "warning")] }), null);
+  });
+
+  it("returns null when a critical issue falls outside the categories", () => {
+    const gate = { issues: [issue("rubric", "warning"), issue("injection", "critical")] };
+    assert.equal(repairableIssues(gate), null);
+  });
+
+  it("covers an unparseable output by default", () => {
+    const gate = qualityGate("Sorry, I can't help with that.");
+    assert.ok(repairableIssues(gate, DEFAULT_REPAIR_CATEGORIES).some(i => i.check === "xml.empty"));
+  });
+});
+
+describe("buildRepairPrompt", () => {
+  it("includes the idea, the failed output and each issue", () => {
+    const prompt = buildRepairPrompt("Invoice reminders", "<response>…", [issue("rubric", "warning", "Response 1: missing Total: X/100")]);
+    assert.ok(prompt.includes("Idea:\nInvoice reminders"));
+    assert.ok(prompt.includes("Your previous output:\n<response>…"));
+    assert.ok(prompt.includes("- Response 1: missing Total: X/100"));
+  });
+});
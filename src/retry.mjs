@@ -0,0 +1,208 @@
+/**
+ * Retry — classify provider failures, retry the transient ones, time out hung ones.
+ *
+ * Provider SDKs and fetch calls fail in different shapes. classifyError()
+ * reads whatever is there (HTTP status, Retry-After headers, SDK error
+ * class names, messages) into one of:
+ *
+ *   rate_limit      429                        transient
+ *   timeout         408, SDK/fetch timeouts    transient
+ *   server          5xx, 529 overloaded        transient
+ *   network         connection reset/refused   transient
+ *   auth            401, 403, billing          persistent
+ *   content_filter  moderation / safety block  persistent
+ *   bad_request     other 4xx                  persistent
+ *   aborted         the caller's AbortSignal   persistent
+ *   unknown         anything else              persistent
+ *
+ * withRetry() retries transient errors with full-jitter exponential backoff,
+ * waiting at least as long as the provider's Retry-After asks. Persistent
+ * errors, and a Retry-After longer than maxDelayMs, give up at once so the
+ * router can move on to the next tier.
+ *
+ * withTimeout() gives a call (retries included) a deadline and links it to
+ * the caller's AbortSignal. The signal it passes down is aborted on either,
+ * so SDK and fetch requests stop spending tokens; the call rejects at the
+ * deadline even if a provider ignores the signal.
+ *
+ * Adapters that make HTTP calls themselves attach what they know to a
+ * plain Error — `status`, `headers`, or an explicit `kind` — as MiniMax's does.
+ *
+ * Usage:
+ *   const output = await withTimeout(
+ *     signal => withRetry(() => provider.call(input, { ...opts, signal }), { signal, onAttempt: log.push }),
+ *     { signal: request.signal, timeoutMs: 60_000 },
+ *   );
+ */
+
+const DEFAULT_RETRY = { retries: 2, baseDelayMs: 500, maxDelayMs: 8000 };
+
+const TRANSIENT = new Set(["rate_limit", "timeout", "server", "network"]);
+
+/**
+ * @typedef {"rate_limit"|"timeout"|"server"|"network"|"auth"|"content_filter"|"bad_request"|"aborted"|"unknown"} ErrorKind
+ */
+
+/**
+ * @typedef {Object} RetryOptions
+ * @property {number} [retries] - Retries after the first try (default 2)
+ * @property {number} [baseDelayMs] - Backoff before the first retry, doubled each time (default 500)
+ * @property {number} [maxDelayMs] - Backoff cap; a longer Retry-After gives up instead (default 8000)
+ */
+
+/**
+ * Classify a provider error.
+ *
+ * @param {Error} err
+ * @returns {{kind: ErrorKind, transient: boolean, status: number|null, retryAfterMs: number|null}}
+ */
+export function classifyError(err) {
+  const status = typeof err?.status === "number" ? err.status : null;
+  const kind = err?.kind ?? kindOf(err, status);
+  return { kind, transient: TRANSIENT.has(kind), status, retryAfterMs: retryAfter(err?.headers) };
+}
+
+/**
+ * Backoff before retry number `retry` (1-based): full jitter over
+ * baseDelayMs × 2^(retry-1), capped at maxDelayMs.
+ *
+ * @param {number} retry
+ * @param {RetryOptions} [options]
+ * @param {() => number} [random]
+ * @returns {number} ms
+ */
+export function backoffDelay(retry, options = {}, random = Math.random) {
+  const { baseDelayMs, maxDelayMs } = { ...DEFAULT_RETRY, ...options };
+  return Math.round(random() * Math.min(maxDelayMs, baseDelayMs * 2 ** (retry - 1)));
+}
+
+/**
+ * Milliseconds a Retry-After / retry-after-ms header asks for, or null.
+ *
+ * @param {Object|Headers} [headers]
+ * @param {number} [now]
+ * @returns {number|null}
+ */
+export function retryAfter(headers, now = Date.now()) {
+  if (!headers) return null;
+  const get = name => (typeof headers.get === "function" ? headers.get(name) : headers[name]);
+
+  const ms = parseFloat(get("retry-after-ms"));
+  if (Number.isFinite(ms) && ms >= 0) return Math.round(ms);
+
+  const value = get("retry-after");
+  if (value == null || value === "") return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, Math.round(seconds * 1000));
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * Call `fn`, retrying transient errors. The error that ends the retries is
+ * rethrown with `kind`, `transient` and `status` set on it.
+ *
+ * @template T
+ * @param {() => Promise<T>} fn
+ * @param {RetryOptions & {signal?: AbortSignal, onAttempt?: (attempt: Object) => void, sleep?: (ms: number, signal?: AbortSignal) => Promise<void>}} [options]
+ *   onAttempt receives { retry, ok, latency, error?, waitMs? } after every try. Once `signal`
+ *   aborts, nothing more is retried or logged and the abort reason is thrown.
+ * @returns {Promise<T>}
+ */
+export async function withRetry(fn, options = {}) {
+  const { retries, maxDelayMs, signal, onAttempt = () => {}, sleep = wait } = { ...DEFAULT_RETRY, ...options };
+
+  for (let retry = 0; ; retry++) {
+    signal?.throwIfAborted();
+    const start = Date.now();
+    try {
+      const result = await fn();
+      onAttempt({ retry, ok: true, latency: Date.now() - start });
+      return result;
+    } catch (err) {
+      signal?.throwIfAborted();
+      const { kind, transient, status, retryAfterMs } = classifyError(err);
+      Object.assign(err, { kind, transient, status });
+      const error = { kind, transient, status, message: err.message };
+
+      const giveUp = !transient || retry >= retries || (retryAfterMs !== null && retryAfterMs > maxDelayMs);
+      if (giveUp) {
+        onAttempt({ retry, ok: false, latency: Date.now() - start, error });
+        throw err;
+      }
+
+      const waitMs = Math.max(retryAfterMs ?? 0, backoffDelay(retry + 1, options));
+      onAttempt({ retry, ok: false, latency: Date.now() - start, error, waitMs });
+      await sleep(waitMs, signal);
+    }
+  }
+}
+
+/**
+ * Run `fn(signal)` with a deadline, aborting `signal` when the deadline
+ * passes or the caller's signal aborts. A deadline rejects with a
+ * `kind: "timeout"` error carrying `timeoutMs`; a caller abort rejects with
+ * the caller's reason.
+ *
+ * @template T
+ * @param {(signal: AbortSignal) => Promise<T>} fn
+ * @param {{signal?: AbortSignal, timeoutMs?: number}} [options] - no deadline when timeoutMs is unset or Infinity
+ * @returns {Promise<T>}
+ */
+export async function withTimeout(fn, options = {}) {
+  const { signal, timeoutMs } = options;
+  signal?.throwIfAborted();
+
+  const controller = new AbortController();
+  const forward = () => controller.abort(signal.reason);
+  signal?.addEventListener("abort", forward, { once: true });
+
+  let timer;
+  if (Number.isFinite(timeoutMs)) {
+    timer = setTimeout(() => {
+      controller.abort(Object.assign(new Error(`Timed out after ${timeoutMs}ms`), { kind: "timeout", timeoutMs }));
+    }, timeoutMs);
+  }
+  const aborted = new Promise((_, reject) => {
+    controller.signal.addEventListener("abort", () => reject(controller.signal.reason), { once: true });
+  });
+
+  try {
+    return await Promise.race([fn(controller.signal), aborted]);
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener("abort", forward);
+  }
+}
+
+function kindOf(err, status) {
+  const name = `${err?.constructor?.name ?? ""} ${err?.name ?? ""}`;
+  const message = String(err?.message ?? "");
+  const code = err?.code ?? err?.error?.code ?? err?.error?.error?.type ?? err?.cause?.code;
+
+  if (/AbortError|APIUserAbortError/.test(name)) return "aborted";
+  if (/content[_ ]?(filter|policy)|safety|sensitive|moderation/i.test(`${code} ${message}`)) return "content_filter";
+  if (status === 429 || code === "rate_limit_error") return "rate_limit";
+  if (status === 408 || /Timeout/.test(name) || /timed? ?out/i.test(message) || code === "ETIMEDOUT") return "timeout";
+  if ((status !== null && status >= 500) || code === "overloaded_error") return "server";
+  if (status === 401 || status === 403 || status === 402) return "auth";
+  if (status !== null && status >= 400) return "bad_request";
+  if (/Connection/.test(name) || ["ECONNRESET", "ECONNREFUSED", "ENOTFOUND", "EAI_AGAIN", "UND_ERR_SOCKET"].includes(code) || /fetch failed|socket hang up/i.test(message)) {
+    return "network";
+  }
+  return "unknown";
+}
+
+function wait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const done = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", done);
+      resolve();
+    }, ms);
+    signal?.addEventListener("abort", done, { once: true });
+  });
+}
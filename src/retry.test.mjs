@@ -0,0 +1,174 @@
+/**
+ * Retry and error classification unit tests.
+ * Run: node --test src/retry.test.mjs
+ */
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { classifyError, retryAfter, backoffDelay, withRetry, withTimeout } from "./retry.mjs";
+
+const httpError = (status, message = `HTTP ${status}`, headers) => Object.assign(new Error(message), { status, headers });
+
+describe("classifyError", () => {
+  it("classifies by HTTP status", () => {
+    assert.equal(classifyError(httpError(429)).kind, "rate_limit");
+    assert.equal(classifyError(httpError(408)).kind, "timeout");
+    assert.equal(classifyError(httpError(503)).kind, "server");
+    assert.equal(classifyError(httpError(529)).kind, "server");
+    assert.equal(classifyError(httpError(401)).kind, "auth");
+    assert.equal(classifyError(httpError(404)).kind, "bad_request");
+  });
+
+  it("marks only rate limits, timeouts, 5xx and network errors transient", () => {
+    assert.equal(classifyError(httpError(429)).transient, true);
+    assert.equal(classifyError(httpError(500)).transient, true);
+    assert.equal(classifyError(httpError(403)).transient, false);
+    assert.equal(classifyError(new Error("???")).transient, false);
+  });
+
+  it("recognises content filters, SDK timeouts and connection failures", () => {
+    assert.equal(classifyError(httpError(400, "Your request was rejected by our content policy")).kind, "content_filter");
+    assert.equal(classifyError(Object.assign(httpError(400, "bad"), { error: { code: "content_filter" } })).kind, "content_filter");
+    class APIConnectionTimeoutError extends Error {}
+    assert.equal(classifyError(new APIConnectionTimeoutError("Request timed out.")).kind, "timeout");
+    assert.equal(classifyError(Object.assign(new TypeError("fetch failed"), { cause: { code: "ECONNRESET" } })).kind, "network");
+    assert.equal(classifyError(Object.assign(new Error("x"), { error: { error: { type: "overloaded_error" } } })).kind, "server");
+  });
+
+  it("treats a caller abort as persistent", () => {
+    const controller = new AbortController();
+    controller.abort();
+    const { kind, transient } = classifyError(controller.signal.reason);
+    assert.equal(kind, "aborted");
+    assert.equal(transient, false);
+  });
+
+  it("keeps a kind the adapter set", () => {
+    assert.equal(classifyError(Object.assign(new Error("MiniMax API error (1002): rate limit"), { kind: "rate_limit" })).kind, "rate_limit");
+  });
+});
+
+describe("retryAfter", () => {
+  it("reads seconds, milliseconds and HTTP dates", () => {
+    assert.equal(retryAfter({ "retry-after": "2" }), 2000);
+    assert.equal(retryAfter({ "retry-after-ms": "150", "retry-after": "2" }), 150);
+    assert.equal(retryAfter(new Headers({ "Retry-After": "1.5" })), 1500);
+    assert.equal(retryAfter({ "retry-after": "Wed, 21 Oct 2026 07:28:10 GMT" }, Date.parse("Wed, 21 Oct 2026 07:28:00 GMT")), 10000);
+  });
+
+  it("returns null without a usable header", () => {
+    assert.equal(retryAfter(undefined), null);
+    assert.equal(retryAfter({}), null);
+    assert.equal(retryAfter({ "retry-after": "soon" }), null);
+  });
+});
+
+describe("backoffDelay", () => {
+  it("doubles up to the cap, with full jitter", () => {
+    const max = () => 1;
+    assert.equal(backoffDelay(1, { baseDelayMs: 100 }, max), 100);
+    assert.equal(backoffDelay(3, { baseDelayMs: 100 }, max), 400);
+    assert.equal(backoffDelay(10, { baseDelayMs: 100, maxDelayMs: 1000 }, max), 1000);
+    assert.equal(backoffDelay(3, { baseDelayMs: 100 }, () => 0.5), 200);
+  });
+});
+
+describe("withRetry", () => {
+  function failing(errors, value = "ok") {
+    let n = 0;
+    return async () => {
+      if (n < errors.length) throw errors[n++];
+      return value;
+    };
+  }
+
+  it("retries transient errors and logs every try", async () => {
+    const waits = [];
+    const log = [];
+    const result = await withRetry(failing([httpError(503), httpError(429)]), {
+      baseDelayMs: 10,
+      sleep: async ms => waits.push(ms),
+      onAttempt: a => log.push(a),
+    });
+
+    assert.equal(result, "ok");
+    assert.equal(waits.length, 2);
+    assert.ok(waits[0] <= 10 && waits[1] <= 20);
+    assert.deepEqual(log.map(a => [a.retry, a.ok, a.error?.kind]), [[0, false, "server"], [1, false, "rate_limit"], [2, true, undefined]]);
+  });
+
+  it("waits at least as long as Retry-After", async () => {
+    const waits = [];
+    await withRetry(failing([httpError(429, "slow down", { "retry-after": "3" })]), { baseDelayMs: 10, sleep: async ms => waits.push(ms) });
+    assert.deepEqual(waits, [3000]);
+  });
+
+  it("gives up at once on persistent errors, or when Retry-After is too long", async () => {
+    const waits = [];
+    const sleep = async ms => waits.push(ms);
+    await assert.rejects(withRetry(failing([httpError(401, "bad key")]), { sleep }), err => err.kind === "auth" && err.transient === false);
+    await assert.rejects(withRetry(failing([httpError(429, "quota", { "retry-after": "60" })]), { sleep }), /quota/);
+    assert.deepEqual(waits, []);
+  });
+
+  it("rethrows the last error when retries run out", async () => {
+    const log = [];
+    await assert.rejects(
+      withRetry(failing([httpError(500, "a"), httpError(502, "b"), httpError(503, "c")]), { retries: 1, baseDelayMs: 0, onAttempt: a => log.push(a) }),
+      err => err.message === "b" && err.status === 502 && err.kind === "server",
+    );
+    assert.equal(log.length, 2);
+  });
+});
+
+describe("withTimeout", () => {
+  // Resolves after `ms` unless the signal aborts first
+  const slow = (ms, value = "done") => signal => new Promise((resolve, reject) => {
+    const timer = setTimeout(() => resolve(value), ms);
+    signal.addEventListener("abort", () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    });
+  });
+
+  it("passes results through within the deadline", async () => {
+    assert.equal(await withTimeout(slow(1), { timeoutMs: 1000 }), "done");
+    assert.equal(await withTimeout(slow(1)), "done");
+  });
+
+  it("rejects with a timeout error and aborts the call's signal", async () => {
+    let seen;
+    await assert.rejects(
+      withTimeout(signal => (seen = signal, slow(1000)(signal)), { timeoutMs: 10 }),
+      err => err.kind === "timeout" && err.timeoutMs === 10 && /Timed out after 10ms/.test(err.message),
+    );
+    assert.equal(seen.aborted, true);
+  });
+
+  it("rejects at the deadline even if the call ignores its signal", async () => {
+    let timer;
+    const stubborn = () => new Promise(resolve => { timer = setTimeout(resolve, 200); });
+    const start = Date.now();
+    await assert.rejects(withTimeout(stubborn, { timeoutMs: 10 }), { kind: "timeout" });
+    assert.ok(Date.now() - start < 150);
+    clearTimeout(timer);
+  });
+
+  it("rejects with the caller's reason when the caller aborts", async () => {
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(new Error("client went away")), 5);
+    await assert.rejects(withTimeout(slow(1000), { signal: controller.signal, timeoutMs: 1000 }), /client went away/);
+    await assert.rejects(withTimeout(slow(1), { signal: controller.signal }), /client went away/);
+  });
+
+  it("stops retrying when the signal aborts during backoff", async () => {
+    const controller = new AbortController();
+    let calls = 0;
+    const flaky = async () => {
+      calls++;
+      throw Object.assign(new Error("busy"), { status: 503 });
+    };
+    setTimeout(() => controller.abort(new Error("cancelled")), 10);
+    await assert.rejects(withRetry(flaky, { signal: controller.signal, baseDelayMs: 1000, retries: 5 }), /cancelled/);
+    assert.equal(calls, 1);
+  });
+});
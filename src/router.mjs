@@ -1,17 +1,38 @@
 /**
  * Model Router — transparent multi-model orchestration with quality gate.
  *
- * Escalation chain (cheapest first):
- *   MiniMax ($0.001/1K) → OpenAI ($0.01/1K) → Anthropic Opus ($0.06/1K)
+ * Requests run down an escalation chain of tiers, cheapest first. The
+ * default chain is:
+ *   MiniMax → OpenAI → Anthropic Opus
+ * with MiniMax only when minimaxKey is configured. Pass `chain` to run any
+ * other order of registered providers (e.g. local model → Haiku → Sonnet).
  *
- * Flow:
- *   1. If minimaxKey configured → try MiniMax first (cheapest)
- *   2. Run quality gate on response
- *   3. If quality < threshold → escalate to OpenAI (mid-tier)
- *   4. If still below threshold → escalate to Anthropic Opus (strongest)
- *   5. Return the best response — caller never sees the bad one
+ * Flow, per tier:
+ *   1. Call the tier's provider (up to maxAttempts times, best of `samples` each)
+ *   2. Run the quality gate against the tier's threshold
+ *   3. With `repair` on, send fixable failures back to the same tier (repair.mjs)
+ *   4. Pass → return it; fail or error → escalate to the next tier
+ *   5. If no tier passes, the highest-scoring response wins (or, with
+ *      fallback "last", the strongest tier's)
  *
- * Without minimaxKey: OpenAI → Anthropic Opus (original 2-tier chain)
+ * Transient provider errors (rate limits, timeouts, 5xx) are retried with
+ * backoff (retry.mjs); persistent ones (auth, content filter, bad request)
+ * skip straight to the next tier. Every try is listed in `attempts`. Each
+ * tier gets timeoutMs for its call, retries included; a tier that runs out
+ * escalates with reason "timeout". The caller's AbortSignal reaches every
+ * SDK/fetch call, and aborting it ends the request at once.
+ *
+ * Tiers run one at a time by default. strategy "race" calls several at
+ * once and returns the cheapest that passes, cancelling pricier ones;
+ * "hedged" starts the next tier only when the current one is slower than
+ * hedgeAfterMs. Either trades spend for latency — calls whose response
+ * isn't returned show up as `usage.wasted` / `cost.wasted`, with cancelled
+ * calls charged at their estimated cost.
+ *
+ * Every call is priced (pricing.mjs). With maxCostPerRequest or dailyBudget
+ * set, the router estimates each next call before making it; when it would
+ * go over, escalation stops and the best response so far is returned with
+ * `budgetExhausted: true`.
  *
  * Usage:
  *   const router = createRouter({ openaiKey, anthropicKey, minimaxKey, promptId });
@@ -19,34 +40,140 @@
  *   // result.provider — "minimax" | "openai" | "anthropic"
  *   // result.quality — the gate score
  *   // result.escalated — whether fallback was used
+ *
+ *   createRouter({ anthropicKey, chain: [
+ *     { provider: "ollama", model: "llama3", threshold: 0.8 },
+ *     { provider: "anthropic", model: "claude-3-5-haiku-latest", maxAttempts: 2 },
+ *     { provider: "anthropic", model: "claude-sonnet-4-20250514" },
+ *   ] });
+ *   router.evaluate(idea, { skip: ["ollama"] });
  */
 
-import OpenAI from "openai";
-import { qualityGate } from "./quality-gate.mjs";
+import { qualityGate, createStreamingGate, parseResponses } from "./quality-gate.mjs";
+import { createJudge, applyJudge, stubJudgeProvider, DEFAULT_JUDGE_WEIGHT } from "./judge.mjs";
 import { selectVariant, validateOutput, recordMetric } from "./prompt-schema.mjs";
-import { callMiniMax } from "./providers/minimax.mjs";
+import { getProvider, providerMap } from "./providers.mjs";
+import { DEFAULT_PRICING, costOf, normalizeUsage, sumUsage, sumCost } from "./pricing.mjs";
+import { withRetry, withTimeout } from "./retry.mjs";
+import { DEFAULT_REPAIR_CATEGORIES, repairableIssues, buildRepairPrompt } from "./repair.mjs";
+
+// Assumed usage for a tier's first call in a request, before any real usage is seen
+const USAGE_ESTIMATE = { input_tokens: 2000, output_tokens: 3000 };
+// ...and for a judge call: a graded response in, a one-line verdict out
+const JUDGE_USAGE_ESTIMATE = { input_tokens: 3000, output_tokens: 100 };
+
+// Ledger key for judge calls in usage, cost and attempts
+const JUDGE = "judge";
+
+const STRATEGIES = ["sequential", "race", "hedged"];
+const HEDGE = Symbol("hedge");
 
 /**
  * @typedef {Object} RouterConfig
  * @property {string} openaiKey
  * @property {string} [anthropicKey]
  * @property {string} [minimaxKey]
+ * @property {Object<string, string>} [keys] - API keys for other providers, by provider id
+ * @property {import("./providers.mjs").Provider[]} [providers] - providers for this router only (override registered ones)
+ * @property {TierConfig[]} [chain] - escalation order (default: MiniMax if keyed → OpenAI → Anthropic)
+ * @property {Object<string, {input: number, output: number}>} [pricing] - USD per 1M tokens by model, merged over DEFAULT_PRICING
+ * @property {number} [maxCostPerRequest] - USD cap per evaluate() call
+ * @property {number} [dailyBudget] - USD cap per router per UTC day
+ * @property {import("./retry.mjs").RetryOptions} [retry] - retries of transient provider errors (default 2, 500ms base backoff)
+ * @property {number} [timeoutMs] - default per-tier deadline for a provider call, retries included (default 120000)
+ * @property {"sequential"|"race"|"hedged"} [strategy] - how tiers are run (default "sequential")
+ * @property {number} [raceSize] - "race": tiers called at once, from the start of the chain (default: all)
+ * @property {number} [hedgeAfterMs] - "hedged": wait this long for a tier before starting the next (default 10000)
+ * @property {boolean|RepairConfig} [repair] - ask a tier to fix a failed output before escalating (default off)
+ * @property {boolean} [streaming] - gate replies while they stream and escalate as soon as one can't pass
+ *   (default off; needs a provider that streams through `onText`)
+ * @property {"best"|"last"} [fallback] - when no tier passes, return the highest-scoring response or the last tier's (default "best")
  * @property {string} promptId - OpenAI stored prompt ID
  * @property {string} [promptVersion] - defaults to "3"
  * @property {number} [qualityThreshold] - override the default 0.70
+ * @property {import("./quality-gate.mjs").GatePolicy} [gatePolicy] - per-check penalty/severity/veto overrides
  * @property {boolean} [allowEscalation] - default true
+ * @property {boolean} [redact] - add `redactedText` (secrets/PII scrubbed) to every returned response
+ * @property {JudgeConfig} [judge] - grade responses with an LLM judge and blend it into the gate score
+ * @property {{scorer?: Function, threshold?: number}} [relevance] - how responses are checked against the idea
+ *   (default keyword overlap; scorers from createEmbeddingScorer are prepared before each gate run)
+ */
+
+/**
+ * @typedef {Object} TierConfig
+ * @property {string} provider - registered provider id
+ * @property {string} [id] - name for skip/prefer and usage (default: provider, or "provider:model")
+ * @property {string} [model] - model override, passed to the provider
+ * @property {Object} [promptConfig] - provider options, as on experiment variants (promptId, promptVersion, systemPrompt, …)
+ * @property {number} [threshold] - gate threshold for this tier (default: the router's qualityThreshold)
+ * @property {number} [maxAttempts] - gated responses to try before escalating (default 1)
+ * @property {number} [samples] - responses drawn per attempt; the highest-scoring one is kept (default 1)
+ * @property {"concurrent"|"sequential"} [sampleMode] - draw samples at once, or one by one until one passes (default "concurrent")
+ * @property {import("./retry.mjs").RetryOptions} [retry] - override the router's retry settings for this tier
+ * @property {number} [timeoutMs] - deadline for this tier's call, retries included (default: the router's timeoutMs)
+ * @property {number} [hedgeAfterMs] - "hedged": how long to wait for this tier before starting the next
+ * @property {boolean|RepairConfig} [repair] - override the router's repair setting for this tier
+ * @property {boolean} [streaming] - override the router's streaming setting for this tier
+ */
+
+/**
+ * @typedef {Object} RepairConfig
+ * @property {string[]} [categories] - issue categories worth repairing (default DEFAULT_REPAIR_CATEGORIES)
+ * @property {number} [maxRepairs] - repair rounds per failed attempt (default 1)
+ */
+
+/**
+ * @typedef {Object} EvaluateOptions
+ * @property {string[]} [skip] - tier ids or provider ids to leave out of this request
+ * @property {string} [prefer] - start the chain at this tier (by id or provider), skipping the ones before it
+ * @property {number} [qualityThreshold] - threshold for every tier on this request
+ * @property {boolean} [allowEscalation] - override the router's setting for this request
+ * @property {number} [maxCostPerRequest] - a tighter per-request USD cap for this request (can't raise the router's)
+ * @property {AbortSignal} [signal] - cancel the request; passed to every provider call
+ * @property {number} [timeoutMs] - per-tier deadline for this request, overriding the tiers' own
+ * @property {"sequential"|"race"|"hedged"} [strategy] - override the router's strategy for this request
+ * @property {"best"|"last"} [fallback] - override the router's fallback for this request
+ */
+
+/**
+ * @typedef {Object} JudgeConfig
+ * @property {string|Function} provider - a registered provider id, "stub" for the offline judge, or a custom
+ *   `(input, { systemPrompt, model }) => Promise<{ outputText }>`
+ * @property {string} [model] - model for the judge calls (default: the provider's `defaultModel`)
+ * @property {number} [weight] - judge share of the final score, 0–1 (default 0.3)
+ * @property {import("./retry.mjs").RetryOptions} [retry] - retries for judge calls (default: the router's)
+ * @property {number} [timeoutMs] - deadline for each judge call (default: the router's)
+ * @property {number} [minScore] - verdicts below this raise a "judge" issue (default 0.5)
  */
 
 /**
  * @typedef {Object} EvaluationResult
- * @property {string} provider - "openai" | "anthropic"
+ * @property {string} provider - id of the provider that answered
+ * @property {string} [tier] - id of the chain tier that answered
  * @property {string} model - specific model ID
  * @property {number} quality - gate score 0.0-1.0
  * @property {boolean} escalated - whether fallback was used
+ * @property {Array<{tier: string, attempt: number, reason: "quality"|"error"|"timeout"|"budget", kind?: string, score?: number, issues?: Array, message: string}>} [escalationReason]
+ *   - why each earlier attempt was passed over, and what the budget stopped
+ * @property {Array<{tier: string, provider: string, attempt: number, retry: number, ok: boolean, latency: number,
+ *   error?: {kind: string, transient: boolean, status: number|null, message: string}, waitMs?: number,
+ *   score?: number, passed?: boolean, issues?: Array, usage?: import("./pricing.mjs").Usage}>} attempts
+ *   - every provider call made, including retried failures (with `sample` on sampling tiers, `repair` on repair calls,
+ *     tier "judge" for judge calls); calls that returned carry their gate score, issues and usage
+ * @property {Array<{tier: string, attempt: number, sample: number, score: number, passed: boolean, issues: Array}>} samples
+ *   - every gated response, in the order they were scored
+ * @property {boolean} repaired - the returned response came from a repair
+ * @property {Array<{tier: string, attempt: number, round: number, issues: string[], before: number, after: number|null, passed: boolean,
+ *   error?: {kind: string, message: string}}>} repairs - every repair round, with the gate score before and after
  * @property {Array} responses - parsed response variants
  * @property {Array} issues - quality issues found (empty if clean)
- * @property {Object} usage - token counts
- * @property {Object} timing - latency breakdown in ms
+ * @property {import("./pricing.mjs").Usage & {tiers: Object<string, import("./pricing.mjs").Usage>, wasted: import("./pricing.mjs").Usage}} usage
+ *   - token counts for the whole request, per tier (judge calls under "judge"), and for calls whose response wasn't returned
+ * @property {{currency: "USD", total: number|null, tiers: Object<string, import("./pricing.mjs").Cost>, wasted: number|null}} cost
+ *   - spend for the whole request, per tier (null totals for unpriced models), and on responses not returned
+ * @property {boolean} budgetExhausted - escalation stopped because the next call would exceed a budget
+ * @property {{strategy: string, primary: number, gate: number, escalation: number, repair: number, total: number, cancelled: string[]}} timing
+ *   - latency breakdown in ms, the strategy used, and tiers cancelled because another won
  */
 
 export function createRouter(config) {
@@ -57,281 +184,596 @@ export function createRouter(config) {
     promptId,
     promptVersion = "3",
     qualityThreshold = 0.70,
+    gatePolicy,
     allowEscalation = true,
+    redact = false,
+    judge: judgeConfig,
+    relevance,
+    maxCostPerRequest = Infinity,
+    dailyBudget = Infinity,
+    retry = {},
+    timeoutMs = 120_000,
+    strategy: routerStrategy = "sequential",
+    raceSize = Infinity,
+    hedgeAfterMs = 10_000,
+    repair = false,
+    streaming = false,
+    fallback: routerFallback = "best",
   } = config;
 
-  const openai = new OpenAI({ apiKey: openaiKey });
+  checkStrategy(routerStrategy);
+  checkFallback(routerFallback);
 
-  async function callOpenAI(idea) {
-    const start = Date.now();
+  const pricing = { ...DEFAULT_PRICING, ...config.pricing };
+  const daily = { date: today(), spent: 0 };
 
-    const response = await openai.responses.create({
-      prompt: { id: promptId, version: promptVersion },
-      input: idea,
-      reasoning: { summary: "auto" },
-      store: true,
-      include: [
-        "reasoning.encrypted_content",
-        "web_search_call.action.sources",
-      ],
-    });
+  const providers = providerMap(config.providers);
+  const keys = { openai: openaiKey, anthropic: anthropicKey, minimax: minimaxKey, ...config.keys };
+
+  const tierDefaults = { threshold: qualityThreshold, retry, timeoutMs, hedgeAfterMs, repair, streaming };
+  const chain = (config.chain ?? [
+    ...(minimaxKey ? [{ provider: "minimax" }] : []),
+    { provider: "openai", promptConfig: { promptId, promptVersion } },
+    { provider: "anthropic" },
+  ]).map(tier => normalizeTier(tier, tierDefaults));
+  if (chain.length === 0) throw new Error("Router chain needs at least one tier");
+  for (const [i, tier] of chain.entries()) {
+    getProvider(tier.provider, providers); // fail fast on unknown ids
+    if (chain.findIndex(t => t.id === tier.id) !== i) {
+      throw new Error(`Duplicate tier id "${tier.id}" — give one of the tiers an explicit id`);
+    }
+    if (judgeConfig && tier.id === JUDGE) throw new Error(`Tier id "${JUDGE}" is reserved for judge calls — give the tier another id`);
+  }
+
+  const gateOptions = { threshold: qualityThreshold, policy: gatePolicy, redact, relevance };
+
+  /**
+   * Call a provider by id with this router's key for it.
+   */
+  function callProvider(id, input, opts = {}) {
+    return getProvider(id, providers).call(input, { apiKey: keys[id], ...opts });
+  }
+
+  /**
+   * Spend so far today (UTC) against the daily budget.
+   *
+   * @returns {{date: string, spent: number, dailyBudget: number, remaining: number}}
+   */
+  function getSpend() {
+    if (daily.date !== today()) Object.assign(daily, { date: today(), spent: 0 });
+    return { date: daily.date, spent: daily.spent, dailyBudget, remaining: Math.max(0, dailyBudget - daily.spent) };
+  }
+
+  /**
+   * Per-request usage and cost, keyed by tier id, with budget checks. Calls
+   * still in flight hold a reservation of their estimated cost, so lanes
+   * started side by side (race, hedged) can't each spend the same headroom.
+   */
+  function openLedger(limit = maxCostPerRequest) {
+    const usage = {};
+    const costs = {};
+    const calls = [];
+    const models = {};
+    // Judge calls are estimated from judge calls, tier calls from tier calls
+    const lastUsage = { tier: null, [JUDGE]: null };
+    let reserved = 0;
+
+    // A tier without a model (a stored prompt) is priced at the model it last answered with
+    const estimatedCost = tier => {
+      const judging = tier === judgeTier;
+      const model = tier.callOptions.model ?? models[tier.id] ?? (judging ? judgeTier.defaultModel : getProvider(tier.provider, providers).defaultModel);
+      const usage = judging ? lastUsage[JUDGE] ?? JUDGE_USAGE_ESTIMATE : lastUsage.tier ?? USAGE_ESTIMATE;
+      return costOf(usage, model, pricing);
+    };
+    const estimate = tier => estimatedCost(tier).total;
 
-    const latency = Date.now() - start;
+    const spend = (tierId, output, cost) => {
+      costs[tierId] = costs[tierId] ? addCost(costs[tierId], cost) : cost;
+      calls.push({ tierId, output, cost });
+      if (cost.total !== null) {
+        getSpend();
+        daily.spent = parseFloat((daily.spent + cost.total).toFixed(6));
+      }
+    };
 
     return {
-      outputText: response.output_text,
-      model: response.model,
-      usage: response.usage,
-      reasoning: response.reasoning,
-      latency,
-      raw: response,
+      record(tierId, output) {
+        usage[tierId] = sumUsage(usage[tierId], output.usage);
+        models[tierId] = output.model;
+        lastUsage[tierId === JUDGE ? JUDGE : "tier"] = output.usage;
+        spend(tierId, output, costOf(output.usage, output.model, pricing));
+      },
+
+      /**
+       * Charge a call that was cut off before it reported usage at its
+       * estimated cost, so the budgets still see what it may have spent.
+       * Its tokens are unknown and stay out of `usage`.
+       */
+      charge(tier) {
+        spend(tier.id, null, estimatedCost(tier));
+      },
+
+      /** Why making `calls` calls to `tier` next would break a budget, or null if they fit (or can't be priced). */
+      overBudget(tier, calls = 1) {
+        const perCall = estimate(tier);
+        if (perCall === null) return null;
+        const next = round(perCall * calls);
+        const pending = round(reserved + next);
+        const spent = sumCost(...Object.values(costs)) ?? 0;
+        const label = calls > 1 ? `next ${calls} calls` : "next call";
+        const inFlight = reserved > 0 ? ` with $${round(reserved)} in flight` : "";
+        if (spent + pending > limit) {
+          return `${label} (~$${next})${inFlight} would take the request to $${round(spent + pending)}, over the $${limit} cap`;
+        }
+        if (getSpend().spent + pending > dailyBudget) {
+          return `${label} (~$${next})${inFlight} would exceed the $${dailyBudget} daily budget ($${daily.spent} spent)`;
+        }
+        return null;
+      },
+
+      /** Hold one call's estimated cost against the budgets until the returned release() is called. */
+      reserve(tier) {
+        const held = estimate(tier) ?? 0;
+        reserved += held;
+        let released = false;
+        return () => {
+          if (released) return;
+          released = true;
+          reserved -= held;
+        };
+      },
+
+      /** Totals, per-tier breakdowns, and the spend on every tier call but `returned` as `wasted`. */
+      summary(returned) {
+        const wasted = calls.filter(c => c.output !== returned && c.tierId !== JUDGE);
+        return {
+          usage: { ...sumUsage(...Object.values(usage)), tiers: usage, wasted: sumUsage(...wasted.filter(c => c.output).map(c => c.output.usage)) },
+          cost: { currency: "USD", total: sumCost(...Object.values(costs)), tiers: costs, wasted: sumCost(...wasted.map(c => c.cost)) },
+        };
+      },
     };
   }
 
-  async function callAnthropic(idea) {
-    if (!anthropicKey) {
-      throw new Error("Anthropic API key required for escalation but not configured");
+  /**
+   * Call a tier's provider within its deadline, retrying transient errors.
+   * Every try is logged to `attempts`, including one cut off by the deadline,
+   * cancelled because another tier won, or stopped mid-stream because it
+   * could no longer reach `streamThreshold`.
+   */
+  async function callTier(tier, idea, attempts, { attempt = 1, sample, repair, signal, timeoutMs = tier.timeoutMs, streamThreshold } = {}) {
+    let answered = null;
+    const log = entry => {
+      const logged = { tier: tier.id, provider: tier.provider, attempt, ...(sample && { sample }), ...(repair && { repair }), ...entry };
+      attempts.push(logged);
+      if (logged.ok) answered = logged;
+    };
+    const options = repair ? { ...tier.callOptions, rawInput: true } : tier.callOptions;
+    let tries = 0;
+    let tryStart = Date.now();
+    const call = linkedController(signal);
+    try {
+      const output = await withTimeout(
+        tierSignal => withRetry(() => {
+          tries++;
+          tryStart = Date.now();
+          const onText = streamThreshold === undefined ? undefined : streamGate(streamThreshold, call);
+          return callProvider(tier.provider, idea, { ...options, signal: tierSignal, ...(onText && { onText }) });
+        }, { ...tier.retry, signal: tierSignal, onAttempt: log }),
+        { signal: call.signal, timeoutMs },
+      );
+      answeredBy.set(output, answered);
+      return output;
+    } catch (err) {
+      if (err.timeoutMs !== undefined || err.kind === "cancelled" || err.kind === "stream_gate") {
+        log({ retry: tries - 1, ok: false, latency: Date.now() - tryStart, error: { kind: err.kind, transient: false, status: null, message: err.message } });
+      }
+      throw err;
+    } finally {
+      call.release();
     }
+  }
 
-    // Dynamic import — only loaded when escalation triggers
-    const { default: Anthropic } = await import("@anthropic-ai/sdk");
-    const client = new Anthropic({ apiKey: anthropicKey });
-    const start = Date.now();
-
-    // Reconstruct the prompt intent for Opus since we can't use OpenAI's stored prompt
-    const systemPrompt = `You are a SaaS idea evaluator. Given a business idea, produce exactly 5 evaluation variants.
-
-Each variant must:
-1. Score the original idea on 10 dimensions (1-10 each): Self-Serve Fulfillment, Zero Human Labor, 100% Digital Delivery, No Expert Judgment Required, Polar Compliance, Low Dispute Risk, Autonomous Feature Delivery, Narrow Scope Strong Utility, Subscription-Friendly, Sells Itself
-2. Calculate Total: X/100
-3. If Total < 60, suggest a Polar-safe digital pivot with its own 10-dimension scoring
-4. Include a Polar integration sketch for the pivot
-
-Hard Filters (auto-fail if any score 0):
-- HF1: Zero Human Labor
-- HF2: 100% Digital Delivery
-- HF3: No Expert Judgment Required (threshold: 3+)
-
-Output format (XML, exactly 5 response blocks):
-<response>
-  <text>[evaluation text]</text>
-  <probability>[0.01-0.10]</probability>
-</response>
-
-Probabilities across all 5 responses must sum to < 1.0.`;
-
-    const message = await client.messages.create({
-      model: "claude-opus-4-20250514",
-      max_tokens: 8192,
-      messages: [{ role: "user", content: `Evaluate this SaaS idea:\n\n${idea}` }],
-      system: systemPrompt,
-    });
+  /**
+   * An `onText` callback that gates a streamed reply and aborts `controller`
+   * once the reply can't reach `threshold`. With a judge, the heuristic score
+   * only has to get there after a perfect judge grade is blended in.
+   */
+  function streamGate(threshold, controller) {
+    const weight = judgeConfig ? judgeConfig.weight ?? DEFAULT_JUDGE_WEIGHT : 0;
+    const heuristic = weight >= 1 ? -Infinity : (threshold - weight) / (1 - weight);
+    const gate = createStreamingGate(undefined, { threshold: heuristic, policy: gatePolicy });
+    return chunk => {
+      const update = gate.write(chunk);
+      if (update.abort && !controller.signal.aborted) {
+        controller.abort(Object.assign(new Error(`Cut off mid-stream: ${update.reason}`), { kind: "stream_gate", bound: update.bound }));
+      }
+    };
+  }
 
-    const latency = Date.now() - start;
-    const outputText = message.content
-      .filter(b => b.type === "text")
-      .map(b => b.text)
-      .join("\n");
+  // The `attempts` entry of the call that produced each output, for gateCall()
+  const answeredBy = new WeakMap();
 
-    return {
-      outputText,
-      model: message.model,
-      usage: {
-        input_tokens: message.usage.input_tokens,
-        output_tokens: message.usage.output_tokens,
-        total_tokens: message.usage.input_tokens + message.usage.output_tokens,
-      },
-      reasoning: null,
-      latency,
-      raw: message,
+  // Judge calls are priced and budgeted like a tier of their own (see judgeFor)
+  let judgeCall = null;
+  let judgeTier = null;
+  const judgeCache = judgeConfig?.cache ?? new Map();
+  if (judgeConfig) {
+    const { provider: id, weight = DEFAULT_JUDGE_WEIGHT } = judgeConfig;
+    if (typeof weight !== "number" || !(weight >= 0 && weight <= 1)) throw new Error(`Judge weight must be within 0–1, got ${weight}`);
+    judgeCall = id;
+    judgeTier = {
+      id: JUDGE,
+      provider: typeof id === "string" ? id : "custom",
+      retry: judgeConfig.retry ?? retry,
+      timeoutMs: judgeConfig.timeoutMs ?? timeoutMs,
+      defaultModel: undefined,
+    };
+    if (id === "stub") judgeCall = stubJudgeProvider;
+    else if (typeof id === "string") {
+      judgeTier.defaultModel = getProvider(id, providers).defaultModel; // fails fast on unknown ids
+      judgeCall = (input, opts) => callProvider(id, input, { ...opts, rawInput: true });
+    }
+    // Without a model, a registered provider judges with its default one (gpt-4o for OpenAI, which
+    // can't answer without either a model or a stored prompt)
+    judgeTier.callOptions = definedOptions({ model: judgeConfig.model ?? judgeTier.defaultModel });
+    createJudge({ ...judgeConfig, provider: judgeCall }); // validate the config up front
+  }
+
+  /**
+   * The judge for one request. Each call is checked against the request's
+   * budgets, retried and timed out like a tier call, then recorded in its
+   * ledger and attempts under the "judge" key; verdicts are cached across
+   * requests. A call that fails or that the budget won't cover leaves that
+   * response with its heuristic score.
+   */
+  function judgeFor(run) {
+    const provider = async (input, opts) => {
+      const overBudget = run.ledger.overBudget(judgeTier);
+      if (overBudget) throw new Error(`Budget: ${overBudget}`);
+
+      let answered = null;
+      const log = entry => {
+        const logged = { tier: JUDGE, provider: judgeTier.provider, attempt: 1, ...entry };
+        run.attempts.push(logged);
+        if (logged.ok) answered = logged;
+      };
+      const release = run.ledger.reserve(judgeTier);
+      let tries = 0;
+      let tryStart = Date.now();
+      try {
+        const output = await withTimeout(
+          callSignal => withRetry(() => {
+            tries++;
+            tryStart = Date.now();
+            return judgeCall(input, { ...opts, signal: callSignal });
+          }, { ...judgeTier.retry, signal: callSignal, onAttempt: log }),
+          { signal: opts.signal, timeoutMs: judgeTier.timeoutMs },
+        );
+        answered.usage = normalizeUsage(output.usage);
+        run.ledger.record(JUDGE, output);
+        return output;
+      } catch (err) {
+        if (err.timeoutMs !== undefined || err.kind === "cancelled") {
+          log({ retry: tries - 1, ok: false, latency: Date.now() - tryStart, error: { kind: err.kind, transient: false, status: null, message: err.message } });
+        }
+        throw err;
+      } finally {
+        release();
+      }
     };
+    return createJudge({ ...judgeConfig, ...judgeTier.callOptions, provider, cache: judgeCache });
+  }
+
+  /**
+   * Run the quality gate against the idea, then the judge stage when one is configured.
+   */
+  async function gateOutput(outputText, idea, options = gateOptions, signal, judge = null) {
+    if (relevance?.scorer?.prepare) {
+      try {
+        await relevance.scorer.prepare([idea, ...parseResponses(outputText).map(r => r.text)]);
+      } catch (err) {
+        console.warn(`[quality-gate] Embedding error: ${err.message} — falling back to keyword relevance`);
+      }
+    }
+    const gate = qualityGate(outputText, { ...options, input: idea });
+    return judge ? applyJudge(gate, judge, { weight: judgeConfig.weight, signal }) : gate;
+  }
+
+  /**
+   * Gate a tier's output and note the result on the call's `attempts` entry.
+   */
+  async function gateCall(output, idea, options, signal, judge) {
+    const gate = await gateOutput(output.outputText, idea, options, signal, judge);
+    const entry = answeredBy.get(output);
+    if (entry) Object.assign(entry, { score: gate.score, passed: gate.passesGate, issues: gate.issues, usage: normalizeUsage(output.usage) });
+    return gate;
   }
 
   /**
    * Evaluate a SaaS idea through the quality-gated pipeline.
    *
-   * Escalation chain: MiniMax → OpenAI → Anthropic Opus
-   * Each tier is tried in order. The first response that passes the quality
-   * gate is returned. If no tier passes, the strongest model's response wins.
+   * Tiers run by the routing strategy ("sequential" by default — see
+   * runSequential, runRace, runHedged). Provider errors escalate like gate
+   * failures. If no tier passes, the highest-scoring gated response wins
+   * (fallback "best", ties going to the later tier) or the last one in chain
+   * order (fallback "last"); if no tier produced a response at all, the last
+   * error is thrown.
    *
    * @param {string} idea - The business idea to evaluate
+   * @param {EvaluateOptions} [options]
    * @returns {Promise<EvaluationResult>}
    */
-  async function evaluate(idea) {
-    const timing = { primary: 0, gate: 0, escalation: 0, total: 0 };
-    const totalStart = Date.now();
-    const usageLog = {};
+  async function evaluate(idea, options = {}) {
+    return runPipeline(idea, selectTiers(chain, options.skip ?? [], options.prefer), options);
+  }
 
-    // ── Tier 1: MiniMax (cheapest) ──────────────────────────
-    if (minimaxKey) {
-      try {
-        const mm = await callMiniMax(idea, { apiKey: minimaxKey });
-        timing.primary = mm.latency;
-        usageLog.minimax = mm.usage;
-
-        const gateStart = Date.now();
-        const gate = qualityGate(mm.outputText);
-        timing.gate = Date.now() - gateStart;
-
-        if (gate.passesGate || !allowEscalation) {
-          timing.total = Date.now() - totalStart;
-          return {
-            provider: "minimax",
-            model: mm.model,
-            quality: gate.score,
-            escalated: false,
-            responses: gate.responses,
-            issues: gate.issues,
-            usage: mm.usage,
-            timing,
-            reasoning: null,
-          };
-        }
+  /**
+   * Evaluate using an A/B experiment: the selected variant runs as the first
+   * tier, then the request escalates through the rest of the chain like any
+   * other. Responses are checked against the variant's outputSchema, and the
+   * outcome is recorded as a metric for the variant.
+   *
+   * @param {string} idea - The business idea to evaluate
+   * @param {import("./prompt-schema.mjs").Experiment} experiment - The experiment to use
+   * @param {EvaluateOptions} [options]
+   * @returns {Promise<EvaluationResult & {variantId: string, schemaValid: boolean}>}
+   */
+  async function evaluateWithExperiment(idea, experiment, options = {}) {
+    const variant = selectVariant(experiment);
+    const result = await runPipeline(idea, variantTiers(variant, options.skip ?? []), options, variant);
 
-        console.warn(
-          `[quality-gate] MiniMax scored ${gate.score} < ${qualityThreshold} — escalating to OpenAI`
-        );
-      } catch (err) {
-        console.warn(`[quality-gate] MiniMax error: ${err.message} — escalating to OpenAI`);
-      }
+    recordMetric(experiment, variant.id, {
+      qualityScore: result.quality,
+      escalated: result.escalated,
+      schemaValid: result.schemaValid,
+      latencyMs: result.timing.total,
+      tokenCount: result.usage.total_tokens,
+    });
+    return result;
+  }
+
+  /**
+   * An experiment's tiers: the variant, then the chain past the variant's
+   * provider (the whole chain if the provider isn't in it), minus `skip`.
+   * The variant runs with the settings of the chain tier it stands in for
+   * (model, samples, retries, ...), its promptConfig and threshold on top.
+   */
+  function variantTiers(variant, skip) {
+    const start = chain.findIndex(t => t.provider === variant.provider);
+    const base = chain[start] ?? normalizeTier({ provider: variant.provider, promptConfig: { promptId, promptVersion } }, tierDefaults);
+    const tier = {
+      ...base,
+      id: variant.id,
+      threshold: variant.qualityThreshold || base.threshold,
+      callOptions: definedOptions(base.callOptions, variant.promptConfig),
+    };
+    getProvider(tier.provider, providers); // fail fast on unknown ids
+
+    const rest = chain.slice(start + 1);
+    if (rest.some(t => t.id === tier.id)) {
+      throw new Error(`Experiment variant "${tier.id}" shares its id with a chain tier — give the variant another id`);
     }
+    return [tier, ...rest.filter(t => !skip.includes(t.id) && !skip.includes(t.provider))];
+  }
 
-    // ── Tier 2: OpenAI (mid-tier) ───────────────────────────
-    const primary = await callOpenAI(idea);
-    timing.primary = timing.primary || primary.latency; // keep MiniMax timing if it ran
-    timing.escalation = primary.latency;
-    usageLog.openai = primary.usage;
+  /**
+   * The pipeline behind both entry points: call → gate (→ schema check) →
+   * repair / escalate by strategy → result.
+   */
+  async function runPipeline(idea, tiers, options, variant = null) {
+    const { allowEscalation: escalate = allowEscalation, signal, strategy = routerStrategy, fallback = routerFallback } = options;
+    checkStrategy(strategy);
+    checkFallback(fallback);
+    const costCap = options.maxCostPerRequest === undefined ? maxCostPerRequest : Math.min(maxCostPerRequest, checkCostCap(options.maxCostPerRequest));
 
-    const gateStart = Date.now();
-    const gate = qualityGate(primary.outputText);
-    timing.gate = Date.now() - gateStart;
+    const totalStart = Date.now();
+    const run = {
+      idea,
+      signal,
+      escalate,
+      timeoutMs: options.timeoutMs,
+      qualityThreshold: options.qualityThreshold,
+      variant,
+      timing: { strategy, primary: 0, gate: 0, escalation: 0, repair: 0, total: 0, cancelled: [] },
+      ledger: openLedger(costCap),
+      reasons: [],
+      attempts: [],
+      samples: [],
+      repairs: [],
+      draws: 0,
+      last: null,
+      best: null,
+      lastError: null,
+    };
+    run.judge = judgeTier && judgeFor(run);
 
-    if (gate.passesGate || !allowEscalation) {
-      timing.total = Date.now() - totalStart;
+    const finish = ({ tier, output, gate, reason, repaired = false }, budgetExhausted = false) => {
+      run.timing.total = Date.now() - totalStart;
+      const escalationReason = run.reasons.filter(r => r !== reason);
       return {
-        provider: "openai",
-        model: primary.model,
+        provider: tier.provider,
+        tier: tier.id,
+        model: output.model,
         quality: gate.score,
-        escalated: !!minimaxKey, // escalated if MiniMax was tried first
-        escalationReason: minimaxKey ? ["MiniMax failed quality gate"] : undefined,
+        escalated: escalationReason.some(r => r.reason !== "budget"),
+        escalationReason: escalationReason.length > 0 ? escalationReason : undefined,
         responses: gate.responses,
         issues: gate.issues,
-        usage: Object.keys(usageLog).length > 1 ? usageLog : primary.usage,
-        timing,
-        reasoning: primary.reasoning,
+        ...run.ledger.summary(output),
+        budgetExhausted,
+        attempts: run.attempts,
+        samples: run.samples,
+        repaired,
+        repairs: run.repairs,
+        timing: run.timing,
+        reasoning: output.reasoning ?? null,
+        ...(variant && { variantId: variant.id, schemaValid: gate.schemaValid ?? true }),
       };
+    };
+
+    const runStrategy = { sequential: runSequential, race: runRace, hedged: runHedged }[strategy];
+    const outcome = await runStrategy(tiers, run);
+
+    if (outcome.winner) return finish(outcome.winner);
+    if (outcome.budget) {
+      if (run.best) return finish(run.best, true);
+      throw Object.assign(new Error(`Budget exhausted before any response: ${outcome.budget}`), { kind: "budget" });
+    }
+    const fallbackEntry = fallback === "best" ? run.best : run.last;
+    if (fallbackEntry) return finish(fallbackEntry);
+    throw run.lastError;
+  }
+
+  /**
+   * Run one tier for up to maxAttempts gated responses. With samples > 1,
+   * each attempt draws that many responses and keeps the highest-scoring one;
+   * a sample that errors is left out, and the tier only errors out when no
+   * sample came back.
+   *
+   * @returns {Promise<{passed?: Object, failed?: true, error?: Error, budget?: string, cancelled?: true}>}
+   */
+  async function runTier(tier, index, run, laneSignal = run.signal) {
+    const threshold = run.qualityThreshold ?? tier.threshold;
+
+    for (let attempt = 1; attempt <= tier.maxAttempts; attempt++) {
+      const draw = tier.sampleMode === "sequential" ? drawSequential : drawConcurrent;
+      let { entries, stop } = await draw(tier, index, attempt, threshold, run, laneSignal);
+      if (laneSignal?.aborted) return cancelled(tier, attempt, run, laneSignal);
+      if (stop?.error && entries.length === 0) {
+        // Transient errors were already retried — either way this tier is done
+        const err = stop.error;
+        const timedOut = err.timeoutMs !== undefined;
+        const cutOff = err.kind === "stream_gate";
+        run.reasons.push({ tier: tier.id, attempt, reason: timedOut ? "timeout" : cutOff ? "quality" : "error", kind: err.kind, message: err.message });
+        console.warn(`[quality-gate] ${tier.id} ${timedOut ? "timed out" : cutOff ? "failing" : `${err.kind} error`}: ${err.message} — escalating`);
+        return stop;
+      }
+      if (entries.length === 0) return stop;
+
+      const latency = tier.sampleMode === "sequential"
+        ? entries.reduce((sum, e) => sum + e.output.latency, 0)
+        : Math.max(...entries.map(e => e.output.latency));
+      if (run.draws++ === 0) run.timing.primary = latency;
+      else run.timing.escalation += latency;
+
+      let entry = entries.reduce((best, e) => (e.gate.score > best.gate.score ? e : best));
+      if (!entry.gate.passesGate && run.escalate && tier.repair) {
+        const repaired = await repairOutput(tier, attempt, threshold, entry, run, laneSignal);
+        if (laneSignal?.aborted) return cancelled(tier, attempt, run, laneSignal);
+        entry = repaired.entry;
+        stop = stop ?? repaired.stop;
+      }
+      if (entry.gate.passesGate || !run.escalate) return { passed: entry };
+
+      const sampled = entries.length > 1 ? `best of ${entries.length} samples ` : "";
+      const after = entry.repaired ? " after repair" : "";
+      entry.reason = { tier: tier.id, attempt, reason: "quality", score: entry.gate.score, issues: entry.gate.issues, message: `${sampled}scored ${entry.gate.score} < ${threshold}${after}` };
+      run.reasons.push(entry.reason);
+      if (!run.last || index >= run.last.index) run.last = entry;
+      if (!run.best || entry.gate.score > run.best.gate.score || (entry.gate.score === run.best.gate.score && index > run.best.index)) run.best = entry;
+      if (stop?.budget) return stop;
+      console.warn(`[quality-gate] ${tier.id} ${sampled}scored ${entry.gate.score} < ${threshold}${after} — ${attempt < tier.maxAttempts ? `retrying ${tier.id}` : "escalating"}`);
     }
+    return { failed: true };
+  }
+
+  /**
+   * Note a tier whose lane was cancelled. A cheaper tier overtaken by a
+   * pricier one (hedged mode) counts as an escalation past it.
+   */
+  function cancelled(tier, attempt, run, laneSignal) {
+    run.timing.cancelled.push(tier.id);
+    const { overtaken, message } = laneSignal.reason ?? {};
+    if (overtaken) run.reasons.push({ tier: tier.id, attempt, reason: "timeout", kind: "cancelled", message });
+    return { cancelled: true };
+  }
 
-    // ── Tier 3: Anthropic Opus (strongest) ──────────────────
-    console.warn(
-      `[quality-gate] OpenAI scored ${gate.score} < ${qualityThreshold} — escalating to Opus`
+  /**
+   * Draw all of a tier's samples at once. Budget is checked for the lot up front.
+   */
+  async function drawConcurrent(tier, index, attempt, threshold, run, laneSignal) {
+    const overBudget = checkBudget(tier, attempt, run, tier.samples);
+    if (overBudget) return { entries: [], stop: overBudget };
+
+    const draws = await Promise.allSettled(
+      Array.from({ length: tier.samples }, (_, i) => drawSample(tier, index, attempt, tier.samples > 1 ? i + 1 : undefined, threshold, run, laneSignal)),
     );
+    const thrown = draws.find(d => d.status === "rejected");
+    if (thrown) throw thrown.reason;
 
-    const fallback = await callAnthropic(idea);
-    timing.escalation += fallback.latency;
-    usageLog.anthropic = fallback.usage;
+    const entries = draws.map(d => d.value.entry).filter(Boolean);
+    return { entries, stop: draws.map(d => d.value).find(d => d.error) };
+  }
 
-    const fallbackGate = qualityGate(fallback.outputText);
-    timing.total = Date.now() - totalStart;
+  /**
+   * Draw a tier's samples one after another, stopping at the first that passes
+   * (or the first error).
+   */
+  async function drawSequential(tier, index, attempt, threshold, run, laneSignal) {
+    const entries = [];
+    for (let sample = 1; sample <= tier.samples; sample++) {
+      const overBudget = checkBudget(tier, attempt, run);
+      if (overBudget) return { entries, stop: overBudget };
 
-    return {
-      provider: "anthropic",
-      model: fallback.model,
-      quality: fallbackGate.score,
-      escalated: true,
-      escalationReason: gate.issues,
-      responses: fallbackGate.responses,
-      issues: fallbackGate.issues,
-      usage: usageLog,
-      timing,
-      reasoning: null,
-    };
+      const drawn = await drawSample(tier, index, attempt, tier.samples > 1 ? sample : undefined, threshold, run, laneSignal);
+      if (!drawn.entry) return { entries, stop: drawn };
+      entries.push(drawn.entry);
+      if (drawn.entry.gate.passesGate) break;
+    }
+    return { entries, stop: null };
   }
 
   /**
-   * Evaluate using an A/B experiment — selects a variant, runs through the gate,
-   * records metrics, and returns the result with variant attribution.
+   * Send a failed output and its repairable issues back to the same tier,
+   * up to maxRepairs times, keeping whichever version scores best. Each
+   * round is logged to run.repairs.
    *
-   * @param {string} idea - The business idea to evaluate
-   * @param {import("./prompt-schema.mjs").Experiment} experiment - The experiment to use
-   * @returns {Promise<EvaluationResult & {variantId: string, schemaValid: boolean}>}
+   * @returns {Promise<{entry: Object, stop?: {budget: string}}>}
    */
-  async function evaluateWithExperiment(idea, experiment) {
-    const variant = selectVariant(experiment);
-    const timing = { primary: 0, gate: 0, escalation: 0, total: 0 };
-    const totalStart = Date.now();
+  async function repairOutput(tier, attempt, threshold, entry, run, laneSignal) {
+    for (let round = 1; round <= tier.repair.maxRepairs && !entry.gate.passesGate; round++) {
+      const issues = repairableIssues(entry.gate, tier.repair.categories);
+      if (!issues) break;
+      const overBudget = checkBudget(tier, attempt, run);
+      if (overBudget) return { entry, stop: overBudget };
 
-    // Step 1: Call the variant's provider
-    let primary;
-    if (variant.provider === "openai") {
-      const pid = variant.promptConfig?.promptId || promptId;
-      const pver = variant.promptConfig?.promptVersion || promptVersion;
-
-      // Temporarily override for this call
-      const origPromptId = promptId;
-      const start = Date.now();
-      const response = await openai.responses.create({
-        prompt: { id: pid, version: pver },
-        input: idea,
-        reasoning: { summary: "auto" },
-        store: true,
-        include: ["reasoning.encrypted_content", "web_search_call.action.sources"],
-      });
-      primary = {
-        outputText: response.output_text,
-        model: response.model,
-        usage: response.usage,
-        reasoning: response.reasoning,
-        latency: Date.now() - start,
-        raw: response,
-      };
-    } else if (variant.provider === "anthropic") {
-      primary = await callAnthropic(idea);
-      if (variant.promptConfig?.systemPrompt) {
-        // Re-call with custom system prompt
-        const { default: Anthropic } = await import("@anthropic-ai/sdk");
-        const client = new Anthropic({ apiKey: anthropicKey });
-        const start = Date.now();
-        const message = await client.messages.create({
-          model: variant.promptConfig?.model || "claude-opus-4-20250514",
-          max_tokens: 8192,
-          messages: [{ role: "user", content: `Evaluate this SaaS idea:\n\n${idea}` }],
-          system: variant.promptConfig.systemPrompt,
-        });
-        const latency = Date.now() - start;
-        primary = {
-          outputText: message.content.filter(b => b.type === "text").map(b => b.text).join("\n"),
-          model: message.model,
-          usage: { input_tokens: message.usage.input_tokens, output_tokens: message.usage.output_tokens, total_tokens: message.usage.input_tokens + message.usage.output_tokens },
-          reasoning: null,
-          latency,
-          raw: message,
-        };
+      const record = { tier: tier.id, attempt, round, issues: issues.map(i => i.check), before: entry.gate.score, after: null, passed: false };
+      run.repairs.push(record);
+      console.warn(`[quality-gate] ${tier.id} scored ${entry.gate.score} < ${threshold} — repairing ${issues.length} issue(s)`);
+
+      let output;
+      const release = run.ledger.reserve(tier);
+      try {
+        output = await callTier(tier, buildRepairPrompt(run.idea, entry.output.outputText, issues), run.attempts, { attempt, repair: round, signal: laneSignal, timeoutMs: run.timeoutMs });
+      } catch (err) {
+        if (run.signal?.aborted) throw err;
+        if (laneSignal?.aborted) break;
+        record.error = { kind: err.kind, message: err.message };
+        break;
+      } finally {
+        release();
       }
-    } else if (variant.provider === "minimax") {
-      primary = await callMiniMax(idea, {
-        apiKey: minimaxKey,
-        model: variant.promptConfig?.model,
-        systemPrompt: variant.promptConfig?.systemPrompt,
-      });
-    } else {
-      throw new Error(`Unknown provider: ${variant.provider}`);
-    }
+      run.ledger.record(tier.id, output);
+      run.timing.repair += output.latency;
 
-    timing.primary = primary.latency;
+      const gate = await gateRun(output, threshold, run, laneSignal);
+      Object.assign(record, { after: gate.score, passed: gate.passesGate });
+      if (gate.passesGate || gate.score > entry.gate.score) entry = { tier, index: entry.index, output, gate, repaired: true };
+    }
+    return { entry };
+  }
 
-    // Step 2: Quality gate
+  /**
+   * Gate an output for a run, checking it against the experiment variant's
+   * outputSchema when there is one (failures become "schema" warnings).
+   */
+  async function gateRun(output, threshold, run, laneSignal) {
     const gateStart = Date.now();
-    const threshold = variant.qualityThreshold || qualityThreshold;
-    const gate = qualityGate(primary.outputText);
-    timing.gate = Date.now() - gateStart;
-
-    // Step 3: Standard Schema validation (if defined)
-    let schemaValid = true;
-    if (variant.outputSchema && gate.responses.length > 0) {
-      const validation = await validateOutput(variant, gate.responses);
-      schemaValid = validation.valid;
-      if (!schemaValid) {
+    const gate = await gateCall(output, run.idea, { ...gateOptions, threshold }, laneSignal, run.judge);
+    if (run.variant?.outputSchema && gate.responses.length > 0) {
+      const validation = await validateOutput(run.variant, gate.responses);
+      gate.schemaValid = validation.valid;
+      if (!validation.valid) {
         gate.issues.push(...validation.issues.map(i => ({
           category: "schema",
           severity: "warning",
@@ -339,57 +781,322 @@ Probabilities across all 5 responses must sum to < 1.0.`;
         })));
       }
     }
+    run.timing.gate += Date.now() - gateStart;
+    return gate;
+  }
 
-    // Step 4: Decide — escalate or return
-    let result;
-    if (gate.score >= threshold || !allowEscalation) {
-      timing.total = Date.now() - totalStart;
-      result = {
-        provider: variant.provider,
-        model: primary.model,
-        quality: gate.score,
-        escalated: false,
-        responses: gate.responses,
-        issues: gate.issues,
-        usage: primary.usage,
-        timing,
-        reasoning: primary.reasoning,
-        variantId: variant.id,
-        schemaValid,
-      };
-    } else {
-      console.warn(`[experiment:${experiment.name}] Variant ${variant.id} scored ${gate.score} < ${threshold} — escalating`);
-      const fallback = await callAnthropic(idea);
-      timing.escalation = fallback.latency;
-      const fallbackGate = qualityGate(fallback.outputText);
-      timing.total = Date.now() - totalStart;
-      result = {
-        provider: "anthropic",
-        model: fallback.model,
-        quality: fallbackGate.score,
-        escalated: true,
-        escalationReason: gate.issues,
-        responses: fallbackGate.responses,
-        issues: fallbackGate.issues,
-        usage: { primary: primary.usage, fallback: fallback.usage },
-        timing,
-        reasoning: null,
-        variantId: variant.id,
-        schemaValid,
-      };
+  function checkBudget(tier, attempt, run, calls = 1) {
+    const overBudget = run.ledger.overBudget(tier, calls);
+    if (!overBudget) return null;
+    run.reasons.push({ tier: tier.id, attempt, reason: "budget", message: overBudget });
+    console.warn(`[quality-gate] Budget: ${tier.id} ${overBudget} — stopping`);
+    return { budget: `${tier.id} ${overBudget}` };
+  }
+
+  /**
+   * One provider call plus its gate run, logged to run.samples.
+   *
+   * @returns {Promise<{entry?: Object, error?: Error, cancelled?: true}>}
+   */
+  async function drawSample(tier, index, attempt, sample, threshold, run, laneSignal) {
+    let output;
+    const release = run.ledger.reserve(tier);
+    try {
+      // A reply that will be repaired or returned whatever it scores has to be read to the end
+      const streamThreshold = tier.streaming && run.escalate && !tier.repair ? threshold : undefined;
+      output = await callTier(tier, run.idea, run.attempts, { attempt, sample, signal: laneSignal, timeoutMs: run.timeoutMs, streamThreshold });
+    } catch (err) {
+      if (run.signal?.aborted) throw err;
+      // The provider bills for what it sent before a cancel or a cut-off, but never reports it
+      if (laneSignal?.aborted) {
+        run.ledger.charge(tier);
+        return { cancelled: true };
+      }
+      if (err.kind === "stream_gate") run.ledger.charge(tier);
+      run.lastError = err;
+      return { error: err };
+    } finally {
+      release();
     }
+    run.ledger.record(tier.id, output);
 
-    // Step 5: Record metrics for the experiment
-    recordMetric(experiment, variant.id, {
-      qualityScore: result.quality,
-      escalated: result.escalated,
-      schemaValid,
-      latencyMs: timing.total,
-      tokenCount: result.usage?.total_tokens || (result.usage?.primary?.total_tokens || 0) + (result.usage?.fallback?.total_tokens || 0),
+    const gate = await gateRun(output, threshold, run, laneSignal);
+    run.samples.push({ tier: tier.id, attempt, sample: sample ?? 1, score: gate.score, passed: gate.passesGate, issues: gate.issues });
+    return { entry: { tier, index, output, gate } };
+  }
+
+  /**
+   * "sequential": one tier at a time, cheapest first.
+   */
+  async function runSequential(tiers, run, offset = 0) {
+    for (const [i, tier] of tiers.entries()) {
+      const outcome = await runTier(tier, offset + i, run);
+      if (outcome.passed) return { winner: outcome.passed };
+      if (outcome.budget) return { budget: outcome.budget };
+    }
+    return {};
+  }
+
+  /**
+   * "race": call the first raceSize tiers at once and take the cheapest one
+   * that passes. Once a tier passes, every pricier tier is cancelled; the
+   * winner is known when all cheaper tiers have failed. If none of the raced
+   * tiers pass, the rest of the chain runs sequentially.
+   */
+  async function runRace(tiers, run) {
+    const group = tiers.slice(0, raceSize);
+    const lanes = group.map((tier, index) => startLane(tier, index, run));
+
+    try {
+      let pending = lanes;
+      while (pending.length > 0) {
+        const lane = await Promise.race(pending.map(l => l.done));
+        pending = pending.filter(l => l !== lane);
+
+        if (lane.outcome.passed) {
+          for (const l of pending.filter(l => l.index > lane.index)) cancelLane(l, lane);
+          pending = pending.filter(l => l.index < lane.index);
+        }
+
+        // The cheapest passing lane wins once every cheaper lane has settled
+        for (const l of lanes) {
+          if (!l.outcome) break;
+          if (l.outcome.passed) return { winner: l.outcome.passed };
+        }
+      }
+    } finally {
+      await closeLanes(lanes);
+    }
+
+    const budget = lanes.find(l => l.outcome?.budget)?.outcome.budget;
+    if (budget) return { budget };
+    return runSequential(tiers.slice(group.length), run, group.length);
+  }
+
+  /**
+   * "hedged": start with the cheapest tier; if it hasn't answered within its
+   * hedgeAfterMs, start the next one alongside it, and so on. The first
+   * passing response wins and the others are cancelled. A tier that fails
+   * starts the next one straight away, as in sequential mode.
+   */
+  async function runHedged(tiers, run) {
+    const lanes = [];
+    const launch = () => lanes.push(startLane(tiers[lanes.length], lanes.length, run));
+    let budget = null;
+    launch();
+
+    try {
+      for (;;) {
+        const pending = lanes.filter(l => !l.outcome);
+        const more = !budget && lanes.length < tiers.length;
+        if (pending.length === 0) {
+          if (!more) return budget ? { budget } : {};
+          launch();
+          continue;
+        }
+
+        const newest = lanes[lanes.length - 1];
+        const hedge = more ? delay(newest.started + newest.tier.hedgeAfterMs - Date.now()) : null;
+        const first = await Promise.race([...pending.map(l => l.done), ...(hedge ? [hedge.promise] : [])]);
+        hedge?.cancel();
+
+        if (first === HEDGE) {
+          console.warn(`[quality-gate] ${newest.tier.id} slower than ${newest.tier.hedgeAfterMs}ms — hedging with ${tiers[lanes.length].id}`);
+          launch();
+        } else if (first.outcome.passed) {
+          for (const l of pending.filter(l => l !== first)) cancelLane(l, first);
+          return { winner: first.outcome.passed };
+        } else if (first.outcome.budget) {
+          budget = first.outcome.budget;
+        }
+      }
+    } finally {
+      await closeLanes(lanes);
+    }
+  }
+
+  /** Run a tier on its own AbortController, linked to the request's signal. */
+  function startLane(tier, index, run) {
+    const lane = { tier, index, controller: linkedController(run.signal), started: Date.now(), outcome: null };
+    lane.done = runTier(tier, index, run, lane.controller.signal).then(outcome => {
+      lane.outcome = outcome;
+      return lane;
     });
+    return lane;
+  }
 
-    return result;
+  /**
+   * The escalation chain, cheapest first.
+   *
+   * @returns {Array<{id: string, provider: string}>}
+   */
+  function listTiers() {
+    return chain.map(({ id, provider }) => ({ id, provider }));
+  }
+
+  return { evaluate, evaluateWithExperiment, getSpend, listTiers };
+}
+
+/**
+ * Fill in a tier's defaults and the options passed to its provider.
+ */
+function normalizeTier(tier, defaults) {
+  const {
+    provider,
+    model,
+    promptConfig,
+    threshold = defaults.threshold,
+    maxAttempts = 1,
+    samples = 1,
+    sampleMode = "concurrent",
+    timeoutMs = defaults.timeoutMs,
+    hedgeAfterMs = defaults.hedgeAfterMs,
+    repair = defaults.repair,
+    streaming = defaults.streaming,
+  } = tier;
+  if (typeof provider !== "string" || !provider) throw new Error("Each chain tier needs a provider id");
+  if (!Number.isInteger(maxAttempts) || maxAttempts < 1) {
+    throw new Error(`Tier ${tier.id ?? provider}: maxAttempts must be a positive integer, got ${maxAttempts}`);
+  }
+  if (!Number.isInteger(samples) || samples < 1) {
+    throw new Error(`Tier ${tier.id ?? provider}: samples must be a positive integer, got ${samples}`);
+  }
+  if (sampleMode !== "concurrent" && sampleMode !== "sequential") {
+    throw new Error(`Tier ${tier.id ?? provider}: sampleMode must be "concurrent" or "sequential", got ${sampleMode}`);
+  }
+  return {
+    id: tier.id ?? (model ? `${provider}:${model}` : provider),
+    provider,
+    threshold,
+    maxAttempts,
+    samples,
+    sampleMode,
+    retry: { ...defaults.retry, ...tier.retry },
+    timeoutMs,
+    hedgeAfterMs,
+    repair: normalizeRepair(repair),
+    streaming: Boolean(streaming),
+    callOptions: definedOptions(promptConfig, { model }),
+  };
+}
+
+/**
+ * `repair: true | false | {categories, maxRepairs}` to null or a full setting.
+ */
+function normalizeRepair(repair) {
+  if (!repair) return null;
+  const { categories = DEFAULT_REPAIR_CATEGORIES, maxRepairs = 1 } = repair === true ? {} : repair;
+  if (!Number.isInteger(maxRepairs) || maxRepairs < 1) throw new Error(`repair.maxRepairs must be a positive integer, got ${maxRepairs}`);
+  return { categories, maxRepairs };
+}
+
+/**
+ * The tiers one request runs: `prefer` moves the start of the chain, `skip` drops tiers.
+ */
+function selectTiers(chain, skip, prefer) {
+  const matches = name => tier => tier.id === name || tier.provider === name;
+  const names = chain.map(t => t.id).join(" → ");
+  if (!Array.isArray(skip) || !skip.every(name => typeof name === "string")) {
+    throw badOption("skip", "skip must be an array of tier or provider ids");
+  }
+  let tiers = chain;
+  if (prefer !== undefined) {
+    const start = chain.findIndex(matches(prefer));
+    if (start === -1) throw badOption("prefer", `Unknown tier: ${prefer} (chain: ${names})`);
+    tiers = chain.slice(start);
+  }
+  tiers = tiers.filter(tier => !skip.some(name => matches(name)(tier)));
+  if (tiers.length === 0) throw badOption("skip", `Every tier in the chain was skipped (chain: ${names})`);
+  return tiers;
+}
+
+function checkFallback(fallback) {
+  if (fallback !== "best" && fallback !== "last") throw badOption("fallback", `Unknown fallback: ${fallback} (use "best" or "last")`);
+}
+
+function checkCostCap(cap) {
+  if (typeof cap !== "number" || !(cap >= 0)) throw badOption("maxCostPerRequest", `maxCostPerRequest must be a non-negative number, got ${cap}`);
+  return cap;
+}
+
+function checkStrategy(strategy) {
+  if (!STRATEGIES.includes(strategy)) throw badOption("strategy", `Unknown routing strategy: ${strategy} (use ${STRATEGIES.join(", ")})`);
+}
+
+/**
+ * An invalid option, tagged `kind: "bad_request"` with the option's name so
+ * callers such as the gate server can tell it from a provider failure.
+ */
+function badOption(option, message) {
+  return Object.assign(new Error(message), { kind: "bad_request", option });
+}
+
+/**
+ * An AbortController that also aborts when `signal` does. release() unhooks it.
+ */
+function linkedController(signal) {
+  const controller = new AbortController();
+  const forward = () => controller.abort(signal.reason);
+  if (signal?.aborted) forward();
+  else signal?.addEventListener("abort", forward, { once: true });
+  controller.release = () => signal?.removeEventListener("abort", forward);
+  return controller;
+}
+
+function cancelLane(lane, winner) {
+  const overtaken = lane.index < winner.index;
+  const message = overtaken
+    ? `Cancelled — no answer within ${lane.tier.hedgeAfterMs}ms and ${winner.tier.id} passed first`
+    : `Cancelled — ${winner.tier.id} answered first`;
+  lane.controller.abort(Object.assign(new Error(message), { kind: "cancelled", overtaken }));
+}
+
+/**
+ * Stop lanes still running and wait for them, so nothing writes to the run after it returns.
+ */
+async function closeLanes(lanes) {
+  for (const lane of lanes) {
+    if (!lane.outcome && !lane.controller.signal.aborted) lane.controller.abort(Object.assign(new Error("Cancelled"), { kind: "cancelled" }));
   }
+  await Promise.allSettled(lanes.map(l => l.done));
+  lanes.forEach(l => l.controller.release());
+}
+
+/**
+ * A timer resolving to HEDGE after `ms`, with cancel().
+ */
+function delay(ms) {
+  let timer;
+  const promise = new Promise(resolve => { timer = setTimeout(resolve, Math.max(0, ms), HEDGE); });
+  return { promise, cancel: () => clearTimeout(timer) };
+}
+
+/**
+ * Merge option objects left to right, ignoring undefined values.
+ */
+function definedOptions(...sources) {
+  const options = {};
+  for (const source of sources) {
+    for (const [key, value] of Object.entries(source || {})) {
+      if (value !== undefined) options[key] = value;
+    }
+  }
+  return options;
+}
+
+/**
+ * Sum the costs of retries of the same tier.
+ */
+function addCost(a, b) {
+  const total = sumCost(a, b);
+  if (total === null) return a;
+  return { model: a.model ?? b.model, input: round((a.input ?? 0) + (b.input ?? 0)), output: round((a.output ?? 0) + (b.output ?? 0)), total };
+}
+
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
 
-  return { evaluate, evaluateWithExperiment };
+function round(value) {
+  return parseFloat(value.toFixed(6));
 }
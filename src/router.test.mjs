@@ -0,0 +1,1049 @@
+/**
+ * Router escalation chain unit tests — offline, with fake providers.
+ * Run: node --test src/router.test.mjs
+ */
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { createRouter } from "./router.mjs";
+import { defineExperiment } from "./prompt-schema.mjs";
+
+const IDEA = "Test idea";
+
+function response(total, probability) {
+  const scores = [8, 9, 10, 8, 9, 8, 9, 8, 9, total - 78];
+  return `<response>
+  <text>
+As proposed: "Test idea"
+Scores (1–10):
+${scores.map((s, i) => `${i + 1}) ${["Self-Serve Fulfillment", "Zero Human Labor", "100% Digital Delivery", "No Expert Judgment Required", "Polar Compliance", "Low Dispute Risk", "Autonomous Feature Delivery", "Narrow Scope, Strong Utility", "Subscription-Friendly", "Sells Itself"][i]}: ${s}`).join("\n")}
+Total: ${total}/100
+
+Pivot ${total}: ${["API-first approach.", "Sell seats to agencies.", "Bundle a weekly digest."][total % 3]}
+  </text>
+  <probability>${probability}</probability>
+</response>`;
+}
+
+const GOOD = [response(84, 0.06), response(85, 0.07), response(86, 0.08)].join("\n");
+const BAD = "Sorry, I can't help with that.";
+const OKAY = [response(84, 0.06), response(85, 0.07)].join("\n"); // passes, a little under GOOD
+const HIGH_PROBABILITY = [response(84, 0.5), response(85, 0.3), response(86, 0.3)].join("\n"); // 0.87, above BAD
+
+/** A provider that replies with the queued outputs in turn (Error entries are thrown). */
+function scripted(id, outputs, calls = [], usage = { input_tokens: 10, output_tokens: 20, total_tokens: 30 }) {
+  let n = 0;
+  return {
+    id,
+    defaultModel: `${id}-model`,
+    async call(input, opts) {
+      calls.push({ id, input, opts });
+      const output = outputs[Math.min(n++, outputs.length - 1)];
+      if (output instanceof Error) throw output;
+      return { outputText: output, model: opts.model ?? `${id}-model`, usage, latency: 5 };
+    },
+  };
+}
+
+describe("createRouter chain", () => {
+  it("runs OpenAI → Anthropic by default and skips MiniMax without a key", async () => {
+    const calls = [];
+    const router = createRouter({
+      providers: [scripted("minimax", [GOOD], calls), scripted("openai", [BAD], calls), scripted("anthropic", [GOOD], calls)],
+      promptId: "pmpt_1",
+    });
+    const result = await router.evaluate(IDEA);
+
+    assert.deepEqual(calls.map(c => c.id), ["openai", "anthropic"]);
+    assert.equal(calls[0].opts.promptId, "pmpt_1");
+    assert.equal(calls[0].opts.promptVersion, "3");
+    assert.equal(result.provider, "anthropic");
+    assert.equal(result.escalated, true);
+    assert.equal(result.escalationReason[0].tier, "openai");
+    assert.equal(result.escalationReason[0].reason, "quality");
+    assert.deepEqual(Object.keys(result.usage.tiers), ["openai", "anthropic"]);
+  });
+
+  it("returns the first tier that passes", async () => {
+    const calls = [];
+    const router = createRouter({
+      providers: [scripted("local", [GOOD], calls), scripted("remote", [GOOD], calls)],
+      chain: [{ provider: "local" }, { provider: "remote" }],
+    });
+    const result = await router.evaluate(IDEA);
+
+    assert.equal(calls.length, 1);
+    assert.equal(result.tier, "local");
+    assert.equal(result.escalated, false);
+    assert.equal(result.escalationReason, undefined);
+    assert.equal(result.usage.total_tokens, 30);
+  });
+
+  it("passes each tier's model and prompt config to its provider", async () => {
+    const calls = [];
+    const router = createRouter({
+      providers: [scripted("anthropic", [BAD, GOOD], calls)],
+      chain: [
+        { provider: "anthropic", model: "haiku", promptConfig: { systemPrompt: "Be brief." } },
+        { provider: "anthropic", model: "sonnet" },
+      ],
+    });
+    const result = await router.evaluate(IDEA);
+
+    assert.deepEqual(calls.map(c => c.opts.model), ["haiku", "sonnet"]);
+    assert.equal(calls[0].opts.systemPrompt, "Be brief.");
+    assert.equal(result.tier, "anthropic:sonnet");
+    assert.equal(result.model, "sonnet");
+  });
+
+  it("retries a tier up to maxAttempts before escalating", async () => {
+    const calls = [];
+    const router = createRouter({
+      providers: [scripted("local", [BAD, GOOD], calls), scripted("remote", [GOOD], calls)],
+      chain: [{ provider: "local", maxAttempts: 2 }, { provider: "remote" }],
+    });
+    const result = await router.evaluate(IDEA);
+
+    assert.deepEqual(calls.map(c => c.id), ["local", "local"]);
+    assert.equal(result.tier, "local");
+    assert.equal(result.escalated, true);
+    assert.equal(result.escalationReason[0].attempt, 1);
+    assert.equal(result.usage.total_tokens, 60);
+  });
+
+  it("applies per-tier thresholds", async () => {
+    const router = createRouter({
+      providers: [scripted("local", [GOOD]), scripted("remote", [GOOD])],
+      chain: [{ provider: "local", threshold: 1.01 }, { provider: "remote", threshold: 0.5 }],
+    });
+    const result = await router.evaluate(IDEA);
+    assert.equal(result.tier, "remote");
+    assert.match(result.escalationReason[0].message, /< 1.01/);
+  });
+
+  it("escalates past provider errors", async () => {
+    const router = createRouter({
+      providers: [scripted("local", [new Error("connection refused")]), scripted("remote", [GOOD])],
+      chain: [{ provider: "local" }, { provider: "remote" }],
+    });
+    const result = await router.evaluate(IDEA);
+    assert.equal(result.tier, "remote");
+    assert.equal(result.escalated, true);
+    assert.deepEqual(result.escalationReason[0], { tier: "local", attempt: 1, reason: "error", kind: "unknown", message: "connection refused" });
+  });
+
+  it("returns the best gated response when no tier passes, or the last one on request", async () => {
+    const router = createRouter({
+      providers: [scripted("local", [HIGH_PROBABILITY]), scripted("remote", [BAD]), scripted("flaky", [new Error("503")])],
+      chain: [{ provider: "local", threshold: 0.95 }, { provider: "remote" }, { provider: "flaky" }],
+    });
+    const best = await router.evaluate(IDEA);
+    assert.equal(best.tier, "local");
+    assert.deepEqual(best.escalationReason.map(r => r.tier), ["remote", "flaky"]);
+
+    const last = await router.evaluate(IDEA, { fallback: "last" });
+    assert.equal(last.tier, "remote");
+    assert.deepEqual(last.escalationReason.map(r => r.tier), ["local", "flaky"]);
+
+    assert.throws(() => createRouter({ fallback: "first" }), /Unknown fallback: first/);
+  });
+
+  it("prefers the later tier when scores tie", async () => {
+    const router = createRouter({
+      providers: [scripted("local", [BAD]), scripted("remote", [BAD])],
+      chain: [{ provider: "local" }, { provider: "remote" }],
+    });
+    assert.equal((await router.evaluate(IDEA)).tier, "remote");
+  });
+
+  it("notes each answered call's score, issues and usage in attempts", async () => {
+    const router = createRouter({
+      providers: [scripted("local", [BAD]), scripted("remote", [GOOD]), scripted("flaky", [GOOD])],
+      chain: [{ provider: "local" }, { provider: "remote" }],
+    });
+    const result = await router.evaluate(IDEA);
+
+    assert.deepEqual(result.attempts.map(a => [a.tier, a.provider, a.passed]), [["local", "local", false], ["remote", "remote", true]]);
+    assert.equal(result.attempts[0].score, result.escalationReason[0].score);
+    assert.equal(result.attempts[0].issues[0].check, "xml.empty");
+    assert.equal(result.attempts[1].score, 1);
+    assert.deepEqual(result.attempts[1].usage, { input_tokens: 10, output_tokens: 20, total_tokens: 30 });
+  });
+
+  it("throws the last error when no tier returns anything", async () => {
+    const router = createRouter({
+      providers: [scripted("local", [new Error("down")]), scripted("remote", [new Error("also down")])],
+      chain: [{ provider: "local" }, { provider: "remote" }],
+    });
+    await assert.rejects(router.evaluate(IDEA), /also down/);
+  });
+
+  it("skips tiers and starts at a preferred tier per request", async () => {
+    const calls = [];
+    const router = createRouter({
+      providers: [scripted("a", [GOOD], calls), scripted("b", [GOOD], calls), scripted("c", [GOOD], calls)],
+      chain: [{ provider: "a" }, { provider: "b" }, { provider: "c" }],
+    });
+
+    assert.equal((await router.evaluate(IDEA, { skip: ["a"] })).tier, "b");
+    assert.equal((await router.evaluate(IDEA, { prefer: "c" })).tier, "c");
+    assert.deepEqual(calls.map(c => c.id), ["b", "c"]);
+    await assert.rejects(router.evaluate(IDEA, { prefer: "z" }), { kind: "bad_request", option: "prefer", message: "Unknown tier: z (chain: a → b → c)" });
+    await assert.rejects(router.evaluate(IDEA, { prefer: "b", skip: ["b", "c"] }), { kind: "bad_request", option: "skip", message: /Every tier/ });
+    await assert.rejects(router.evaluate(IDEA, { skip: "a" }), { kind: "bad_request", option: "skip" });
+    assert.deepEqual(router.listTiers(), [{ id: "a", provider: "a" }, { id: "b", provider: "b" }, { id: "c", provider: "c" }]);
+  });
+
+  it("honours per-request threshold and allowEscalation", async () => {
+    const router = createRouter({
+      providers: [scripted("a", [BAD]), scripted("b", [GOOD]), scripted("c", [GOOD])],
+      chain: [{ provider: "a" }, { provider: "b", threshold: 1.01 }, { provider: "c" }],
+    });
+    assert.equal((await router.evaluate(IDEA, { allowEscalation: false })).tier, "a");
+    assert.equal((await router.evaluate(IDEA, { skip: ["a"] })).tier, "c");
+    assert.equal((await router.evaluate(IDEA, { skip: ["a"], qualityThreshold: 0.7 })).tier, "b");
+  });
+
+  it("validates the chain up front", () => {
+    const providers = [scripted("a", [GOOD])];
+    assert.throws(() => createRouter({ providers, chain: [] }), /at least one tier/);
+    assert.throws(() => createRouter({ providers, chain: [{ provider: "nope" }] }), /Unknown provider: nope/);
+    assert.throws(() => createRouter({ providers, chain: [{ provider: "a" }, { provider: "a" }] }), /Duplicate tier id "a"/);
+    assert.throws(() => createRouter({ providers, chain: [{ provider: "a", maxAttempts: 0 }] }), /maxAttempts/);
+  });
+});
+
+describe("createRouter costs and budgets", () => {
+  // $1000 / $2000 per 1M tokens: a 10-in / 20-out call costs $0.03 on a, $0.06 on b
+  const pricing = { "a-model": { input: 1000, output: 1000 }, "b-model": { input: 2000, output: 2000 } };
+
+  it("reports usage and cost per tier", async () => {
+    const router = createRouter({
+      providers: [scripted("a", [BAD]), scripted("b", [GOOD]), scripted("free", [GOOD])],
+      chain: [{ provider: "a" }, { provider: "b" }],
+      pricing,
+    });
+    const result = await router.evaluate(IDEA);
+
+    assert.deepEqual(result.usage, {
+      input_tokens: 20, output_tokens: 40, total_tokens: 60,
+      tiers: { a: { input_tokens: 10, output_tokens: 20, total_tokens: 30 }, b: { input_tokens: 10, output_tokens: 20, total_tokens: 30 } },
+      wasted: { input_tokens: 10, output_tokens: 20, total_tokens: 30 },
+    });
+    assert.equal(result.cost.currency, "USD");
+    assert.equal(result.cost.total, 0.09);
+    assert.equal(result.cost.wasted, 0.03);
+    assert.deepEqual(result.cost.tiers.a, { model: "a-model", input: 0.01, output: 0.02, total: 0.03 });
+    assert.equal(result.budgetExhausted, false);
+  });
+
+  it("leaves unpriced models out of the total", async () => {
+    const router = createRouter({ providers: [scripted("free", [GOOD])], chain: [{ provider: "free" }], pricing });
+    const result = await router.evaluate(IDEA);
+    assert.equal(result.cost.total, null);
+    assert.equal(result.cost.tiers.free.total, null);
+  });
+
+  // Calls sized like the router's first-call estimate (2000 in / 3000 out): $0.005 at $1 per 1M tokens
+  const usage = { input_tokens: 2000, output_tokens: 3000, total_tokens: 5000 };
+  const cheap = { "a-model": { input: 1, output: 1 }, "b-model": { input: 1, output: 1 }, "c-model": { input: 2, output: 2 } };
+
+  it("stops escalating at maxCostPerRequest and returns the best response so far", async () => {
+    const calls = [];
+    const router = createRouter({
+      providers: [scripted("a", [GOOD], calls, usage), scripted("b", [BAD], calls, usage), scripted("c", [GOOD], calls, usage)],
+      chain: [{ provider: "a", threshold: 1.01 }, { provider: "b" }, { provider: "c" }],
+      pricing: cheap,
+      maxCostPerRequest: 0.015,
+    });
+    const result = await router.evaluate(IDEA);
+
+    assert.deepEqual(calls.map(c => c.id), ["a", "b"]);
+    assert.equal(result.tier, "a");
+    assert.equal(result.quality, 1);
+    assert.equal(result.budgetExhausted, true);
+    assert.equal(result.cost.total, 0.01);
+    const stop = result.escalationReason.at(-1);
+    assert.equal(stop.reason, "budget");
+    assert.equal(stop.tier, "c");
+    assert.match(stop.message, /~\$0.01\) would take the request to \$0.02, over the \$0.015 cap/);
+  });
+
+  it("takes a per-request cap", async () => {
+    const router = createRouter({
+      providers: [scripted("a", [BAD], [], usage), scripted("c", [GOOD], [], usage)],
+      chain: [{ provider: "a" }, { provider: "c" }],
+      pricing: cheap,
+    });
+    assert.equal((await router.evaluate(IDEA)).tier, "c");
+    const capped = await router.evaluate(IDEA, { maxCostPerRequest: 0.012 });
+    assert.equal(capped.tier, "a");
+    assert.equal(capped.budgetExhausted, true);
+  });
+
+  it("only lets a per-request cap tighten the router's", async () => {
+    const router = createRouter({
+      providers: [scripted("a", [BAD], [], usage), scripted("c", [GOOD], [], usage)],
+      chain: [{ provider: "a" }, { provider: "c" }],
+      pricing: cheap,
+      maxCostPerRequest: 0.012,
+    });
+    const raised = await router.evaluate(IDEA, { maxCostPerRequest: 1000 });
+    assert.equal(raised.tier, "a");
+    assert.equal(raised.budgetExhausted, true);
+    await assert.rejects(router.evaluate(IDEA, { maxCostPerRequest: "1000" }), /maxCostPerRequest must be a non-negative number/);
+    await assert.rejects(router.evaluate(IDEA, { maxCostPerRequest: NaN }), /maxCostPerRequest must be a non-negative number/);
+  });
+
+  it("prices a tier without a model at the model it last answered with", async () => {
+    const calls = [];
+    // Like a stored prompt: no model configured or known up front, a dated one reported back
+    const stored = {
+      id: "stored",
+      async call() {
+        calls.push("stored");
+        return { outputText: BAD, model: "a-model-2024-06-01", usage, latency: 5 };
+      },
+    };
+    const router = createRouter({
+      providers: [stored],
+      chain: [{ provider: "stored", maxAttempts: 3 }],
+      pricing: cheap,
+      maxCostPerRequest: 0.012,
+    });
+    const result = await router.evaluate(IDEA);
+
+    assert.equal(calls.length, 2);
+    assert.equal(result.budgetExhausted, true);
+    assert.match(result.escalationReason.at(-1).message, /next call \(~\$0.005\) would take the request to \$0.015/);
+  });
+
+  it("estimates OpenAI stored-prompt calls before the first one answers", async () => {
+    const router = createRouter({ openaiKey: "sk-test", promptId: "pmpt_1", maxCostPerRequest: 0.01 });
+    await assert.rejects(router.evaluate(IDEA), { kind: "budget", message: /openai next call \(~\$0.035\)/ });
+  });
+
+  it("tracks spend against the daily budget across requests", async () => {
+    // $5 per call
+    const router = createRouter({
+      providers: [scripted("a", [GOOD], [], usage)],
+      chain: [{ provider: "a" }],
+      pricing,
+      dailyBudget: 12,
+    });
+
+    await router.evaluate(IDEA);
+    await router.evaluate(IDEA);
+    assert.equal(router.getSpend().spent, 10);
+    assert.equal(router.getSpend().remaining, 2);
+    await assert.rejects(router.evaluate(IDEA), { kind: "budget", message: /Budget exhausted before any response: a .*\$12 daily budget/ });
+  });
+});
+
+describe("createRouter retries", () => {
+  const httpError = (status, message = `HTTP ${status}`) => Object.assign(new Error(message), { status });
+  const retry = { baseDelayMs: 0 };
+
+  it("retries transient errors within a tier and records every try", async () => {
+    const calls = [];
+    const router = createRouter({
+      providers: [scripted("a", [httpError(429), httpError(503), GOOD], calls), scripted("b", [GOOD], calls)],
+      chain: [{ provider: "a" }, { provider: "b" }],
+      retry,
+    });
+    const result = await router.evaluate(IDEA);
+
+    assert.equal(result.tier, "a");
+    assert.equal(result.escalated, false);
+    assert.deepEqual(calls.map(c => c.id), ["a", "a", "a"]);
+    assert.deepEqual(result.attempts.map(a => [a.tier, a.retry, a.ok, a.error?.kind]), [
+      ["a", 0, false, "rate_limit"],
+      ["a", 1, false, "server"],
+      ["a", 2, true, undefined],
+    ]);
+  });
+
+  it("skips to the next tier on persistent errors", async () => {
+    const calls = [];
+    const router = createRouter({
+      providers: [scripted("a", [httpError(401, "invalid key")], calls), scripted("b", [GOOD], calls)],
+      chain: [{ provider: "a", maxAttempts: 3 }, { provider: "b" }],
+      retry,
+    });
+    const result = await router.evaluate(IDEA);
+
+    assert.deepEqual(calls.map(c => c.id), ["a", "b"]);
+    assert.equal(result.tier, "b");
+    assert.deepEqual(result.escalationReason[0], { tier: "a", attempt: 1, reason: "error", kind: "auth", message: "invalid key" });
+    assert.deepEqual(result.attempts.map(a => [a.tier, a.ok]), [["a", false], ["b", true]]);
+  });
+
+  it("escalates once transient retries run out, with per-tier retry settings", async () => {
+    const calls = [];
+    const router = createRouter({
+      providers: [scripted("a", [httpError(500)], calls), scripted("b", [GOOD], calls)],
+      chain: [{ provider: "a", retry: { retries: 1 } }, { provider: "b" }],
+      retry,
+    });
+    const result = await router.evaluate(IDEA);
+
+    assert.deepEqual(calls.map(c => c.id), ["a", "a", "b"]);
+    assert.equal(result.escalationReason[0].kind, "server");
+  });
+});
+
+describe("createRouter timeouts and cancellation", () => {
+  // A provider that answers after `ms`, or rejects when its signal aborts
+  function slow(id, ms, calls = []) {
+    return {
+      id,
+      call: (input, opts) => new Promise((resolve, reject) => {
+        calls.push({ id, opts });
+        const timer = setTimeout(() => resolve({ outputText: GOOD, model: `${id}-model`, usage: {}, latency: ms }), ms);
+        opts.signal?.addEventListener("abort", () => {
+          clearTimeout(timer);
+          reject(opts.signal.reason);
+        });
+      }),
+    };
+  }
+
+  it("escalates with a timeout reason when a tier runs out of time", async () => {
+    const calls = [];
+    const router = createRouter({
+      providers: [slow("a", 1000, calls), slow("b", 1, calls)],
+      chain: [{ provider: "a", timeoutMs: 20 }, { provider: "b" }],
+    });
+    const result = await router.evaluate(IDEA);
+
+    assert.equal(result.tier, "b");
+    assert.equal(calls[0].opts.signal.aborted, true);
+    assert.equal(result.escalationReason[0].reason, "timeout");
+    assert.equal(result.escalationReason[0].kind, "timeout");
+    assert.deepEqual(result.attempts.map(a => [a.tier, a.ok, a.error?.kind]), [["a", false, "timeout"], ["b", true, undefined]]);
+  });
+
+  it("takes a per-request timeout over the tier defaults", async () => {
+    const router = createRouter({
+      providers: [slow("a", 50), slow("b", 1)],
+      chain: [{ provider: "a" }, { provider: "b" }],
+    });
+    assert.equal((await router.evaluate(IDEA)).tier, "a");
+    assert.equal((await router.evaluate(IDEA, { timeoutMs: 10 })).tier, "b");
+  });
+
+  it("stops the whole request when the caller aborts", async () => {
+    const calls = [];
+    const router = createRouter({
+      providers: [slow("a", 1000, calls), slow("b", 1, calls)],
+      chain: [{ provider: "a" }, { provider: "b" }],
+    });
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(new Error("client disconnected")), 10);
+
+    await assert.rejects(router.evaluate(IDEA, { signal: controller.signal }), /client disconnected/);
+    assert.deepEqual(calls.map(c => c.id), ["a"]);
+    assert.equal(calls[0].opts.signal.aborted, true);
+  });
+});
+
+describe("createRouter strategies", () => {
+  const usage = { input_tokens: 10, output_tokens: 20, total_tokens: 30 };
+  const pricing = { "a-model": { input: 1000, output: 1000 }, "b-model": { input: 2000, output: 2000 } };
+
+  // A provider that answers `output` after `ms`, or rejects when its signal aborts
+  function delayed(id, ms, output, calls = []) {
+    return {
+      id,
+      defaultModel: `${id}-model`,
+      call: (input, opts) => new Promise((resolve, reject) => {
+        calls.push(id);
+        const timer = setTimeout(() => resolve({ outputText: output, model: `${id}-model`, usage, latency: ms }), ms);
+        opts.signal?.addEventListener("abort", () => {
+          clearTimeout(timer);
+          reject(opts.signal.reason);
+        });
+      }),
+    };
+  }
+
+  it("races to the cheapest passing tier, counting the rest as wasted", async () => {
+    const router = createRouter({
+      providers: [delayed("a", 40, GOOD), delayed("b", 1, GOOD)],
+      chain: [{ provider: "a" }, { provider: "b" }],
+      strategy: "race",
+      pricing,
+    });
+    const result = await router.evaluate(IDEA);
+
+    assert.equal(result.tier, "a");
+    assert.equal(result.escalated, false);
+    assert.equal(result.timing.strategy, "race");
+    assert.deepEqual(result.usage.wasted, usage);
+    assert.equal(result.cost.total, 0.09);
+    assert.equal(result.cost.wasted, 0.06);
+  });
+
+  it("cancels pricier tiers once a cheaper one passes", async () => {
+    const router = createRouter({
+      providers: [delayed("a", 1, GOOD), delayed("b", 1000, GOOD)],
+      chain: [{ provider: "a" }, { provider: "b" }],
+      strategy: "race",
+      pricing,
+    });
+    const start = Date.now();
+    const result = await router.evaluate(IDEA);
+
+    assert.equal(result.tier, "a");
+    assert.ok(Date.now() - start < 500);
+    assert.deepEqual(result.timing.cancelled, ["b"]);
+    assert.deepEqual(result.attempts.map(a => [a.tier, a.ok, a.error?.kind]), [["a", true, undefined], ["b", false, "cancelled"]]);
+    assert.deepEqual(result.usage.wasted, { input_tokens: 0, output_tokens: 0, total_tokens: 0 });
+    // The cancelled call never reports usage, so it's charged at its estimate: a's 10 in and 20 out at b's price
+    assert.equal(result.cost.wasted, 0.06);
+    assert.equal(result.cost.total, 0.09);
+    assert.equal(result.escalated, false);
+  });
+
+  it("takes a pricier tier when the cheaper ones fail, then runs the rest in order", async () => {
+    const calls = [];
+    const router = createRouter({
+      providers: [delayed("a", 1, BAD, calls), delayed("b", 10, BAD, calls), delayed("c", 1, GOOD, calls)],
+      chain: [{ provider: "a" }, { provider: "b" }, { provider: "c" }],
+      strategy: "race",
+      raceSize: 2,
+    });
+    const result = await router.evaluate(IDEA);
+
+    assert.equal(result.tier, "c");
+    assert.equal(result.escalated, true);
+    assert.deepEqual(calls, ["a", "b", "c"]);
+    assert.deepEqual(result.escalationReason.map(r => r.tier), ["a", "b"]);
+  });
+
+  it("hedges with the next tier when the current one is slow", async () => {
+    const calls = [];
+    const router = createRouter({
+      providers: [delayed("a", 1000, GOOD, calls), delayed("b", 1, GOOD, calls)],
+      chain: [{ provider: "a", hedgeAfterMs: 20 }, { provider: "b" }],
+      strategy: "hedged",
+    });
+    const result = await router.evaluate(IDEA);
+
+    assert.equal(result.tier, "b");
+    assert.equal(result.timing.strategy, "hedged");
+    assert.deepEqual(calls, ["a", "b"]);
+    assert.deepEqual(result.timing.cancelled, ["a"]);
+    assert.equal(result.escalated, true);
+    assert.deepEqual(result.escalationReason.map(r => [r.tier, r.reason, r.kind]), [["a", "timeout", "cancelled"]]);
+    assert.match(result.escalationReason[0].message, /no answer within 20ms and b passed first/);
+  });
+
+  it("doesn't hedge when the current tier answers in time", async () => {
+    const calls = [];
+    const router = createRouter({
+      providers: [delayed("a", 1, GOOD, calls), delayed("b", 1, GOOD, calls)],
+      chain: [{ provider: "a" }, { provider: "b" }],
+      strategy: "hedged",
+      hedgeAfterMs: 200,
+    });
+    const result = await router.evaluate(IDEA);
+
+    assert.equal(result.tier, "a");
+    assert.deepEqual(calls, ["a"]);
+    assert.deepEqual(result.timing.cancelled, []);
+  });
+
+  it("starts the next tier straight away when the current one fails", async () => {
+    const router = createRouter({
+      providers: [delayed("a", 1, BAD), delayed("b", 1, GOOD)],
+      chain: [{ provider: "a" }, { provider: "b" }],
+      strategy: "hedged",
+      hedgeAfterMs: 10_000,
+    });
+    const start = Date.now();
+    const result = await router.evaluate(IDEA);
+
+    assert.equal(result.tier, "b");
+    assert.ok(Date.now() - start < 1000);
+  });
+
+  it("takes a per-request strategy and rejects unknown ones", async () => {
+    const router = createRouter({
+      providers: [delayed("a", 1, GOOD), delayed("b", 1, GOOD)],
+      chain: [{ provider: "a" }, { provider: "b" }],
+    });
+    assert.equal((await router.evaluate(IDEA)).timing.strategy, "sequential");
+    assert.equal((await router.evaluate(IDEA, { strategy: "race" })).timing.strategy, "race");
+    await assert.rejects(router.evaluate(IDEA, { strategy: "fastest" }), { kind: "bad_request", option: "strategy", message: /Unknown routing strategy: fastest/ });
+    assert.throws(() => createRouter({ strategy: "fastest" }), /Unknown routing strategy/);
+  });
+
+  it("counts racing calls still in flight against the request cap", async () => {
+    const calls = [];
+    const router = createRouter({
+      providers: [delayed("a", 5, BAD, calls), delayed("b", 5, GOOD, calls), delayed("c", 5, GOOD, calls)],
+      chain: [{ provider: "a" }, { provider: "b" }, { provider: "c" }],
+      strategy: "race",
+      pricing: { "a-model": { input: 1, output: 1 }, "b-model": { input: 1, output: 1 }, "c-model": { input: 1, output: 1 } },
+      maxCostPerRequest: 0.008, // room for one ~$0.005 call, not three
+    });
+    const result = await router.evaluate(IDEA);
+
+    assert.deepEqual(calls, ["a"]);
+    assert.equal(result.tier, "a");
+    assert.equal(result.budgetExhausted, true);
+    assert.match(result.escalationReason.find(r => r.tier === "b").message, /with \$0.005 in flight would take the request to \$0.01, over the \$0.008 cap/);
+  });
+
+  it("doesn't hedge past the request cap while the current tier is in flight", async () => {
+    const calls = [];
+    const router = createRouter({
+      providers: [delayed("a", 40, GOOD, calls), delayed("b", 1, GOOD, calls)],
+      chain: [{ provider: "a", hedgeAfterMs: 5 }, { provider: "b" }],
+      strategy: "hedged",
+      pricing: { "a-model": { input: 1000, output: 1000 }, "b-model": { input: 1000, output: 1000 } },
+      maxCostPerRequest: 8, // each first call is estimated at $5
+    });
+    const result = await router.evaluate(IDEA);
+
+    assert.deepEqual(calls, ["a"]);
+    assert.equal(result.tier, "a");
+    assert.equal(result.budgetExhausted, false);
+    assert.equal(result.escalationReason[0].reason, "budget");
+  });
+
+  it("stops every lane when the caller aborts", async () => {
+    const router = createRouter({
+      providers: [delayed("a", 1000, GOOD), delayed("b", 1000, GOOD)],
+      chain: [{ provider: "a" }, { provider: "b" }],
+      strategy: "race",
+    });
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(new Error("client disconnected")), 10);
+    await assert.rejects(router.evaluate(IDEA, { signal: controller.signal }), /client disconnected/);
+  });
+});
+
+describe("createRouter sampling", () => {
+  it("draws samples concurrently and keeps the highest-scoring one", async () => {
+    const calls = [];
+    const router = createRouter({
+      providers: [scripted("a", [OKAY, GOOD, BAD], calls), scripted("b", [GOOD], calls)],
+      chain: [{ provider: "a", samples: 3 }, { provider: "b" }],
+    });
+    const result = await router.evaluate(IDEA);
+
+    assert.equal(result.tier, "a");
+    assert.equal(result.quality, 1);
+    assert.equal(result.escalated, false);
+    assert.deepEqual(calls.map(c => c.id), ["a", "a", "a"]);
+    const bySample = [...result.samples].sort((x, y) => x.sample - y.sample);
+    assert.deepEqual(bySample.map(s => [s.tier, s.sample, s.passed]), [["a", 1, true], ["a", 2, true], ["a", 3, false]]);
+    assert.ok(bySample[0].score < bySample[1].score);
+    assert.deepEqual(result.attempts.map(a => a.sample).sort(), [1, 2, 3]);
+    assert.deepEqual(result.usage.wasted, { input_tokens: 20, output_tokens: 40, total_tokens: 60 });
+  });
+
+  it("escalates only when no sample passes", async () => {
+    const router = createRouter({
+      providers: [scripted("a", [BAD]), scripted("b", [GOOD])],
+      chain: [{ provider: "a", samples: 2 }, { provider: "b" }],
+    });
+    const result = await router.evaluate(IDEA);
+
+    assert.equal(result.tier, "b");
+    assert.equal(result.escalationReason.length, 1);
+    assert.match(result.escalationReason[0].message, /^best of 2 samples scored/);
+    assert.deepEqual(result.samples.map(s => [s.tier, s.passed]), [["a", false], ["a", false], ["b", true]]);
+  });
+
+  it("draws sequential samples until one passes", async () => {
+    const calls = [];
+    const router = createRouter({
+      providers: [scripted("a", [BAD, OKAY, GOOD], calls)],
+      chain: [{ provider: "a", samples: 3, sampleMode: "sequential" }],
+    });
+    const result = await router.evaluate(IDEA);
+
+    assert.equal(calls.length, 2);
+    assert.equal(result.quality, 0.94);
+    assert.deepEqual(result.samples.map(s => s.sample), [1, 2]);
+  });
+
+  it("leaves out samples that error", async () => {
+    const router = createRouter({
+      providers: [scripted("a", [Object.assign(new Error("bad request"), { status: 400 }), GOOD]), scripted("b", [GOOD])],
+      chain: [{ provider: "a", samples: 2, sampleMode: "sequential", maxAttempts: 2 }, { provider: "b" }],
+    });
+    const result = await router.evaluate(IDEA);
+
+    assert.equal(result.tier, "b");
+    assert.equal(result.escalationReason[0].reason, "error");
+
+    const concurrent = createRouter({
+      providers: [scripted("a", [new Error("down"), GOOD]), scripted("b", [GOOD])],
+      chain: [{ provider: "a", samples: 2 }, { provider: "b" }],
+    });
+    const sampled = await concurrent.evaluate(IDEA);
+    assert.equal(sampled.tier, "a");
+    assert.equal(sampled.escalated, false);
+    assert.equal(sampled.samples.length, 1);
+  });
+
+  it("checks the budget for every concurrent sample up front", async () => {
+    const usage = { input_tokens: 2000, output_tokens: 3000, total_tokens: 5000 };
+    const router = createRouter({
+      providers: [scripted("a", [GOOD], [], usage)],
+      chain: [{ provider: "a", samples: 3 }],
+      pricing: { "a-model": { input: 1, output: 1 } },
+      maxCostPerRequest: 0.012, // room for two $0.005 calls, not three
+    });
+    await assert.rejects(router.evaluate(IDEA), /Budget exhausted before any response: a next 3 calls \(~\$0.015\)/);
+  });
+
+  it("validates samples and sampleMode", () => {
+    assert.throws(() => createRouter({ chain: [{ provider: "openai", samples: 0 }] }), /samples must be a positive integer/);
+    assert.throws(() => createRouter({ chain: [{ provider: "openai", sampleMode: "fast" }] }), /sampleMode must be/);
+  });
+});
+
+describe("createRouter repair", () => {
+  it("repairs a failed output on the same tier before escalating", async () => {
+    const calls = [];
+    const router = createRouter({
+      providers: [scripted("a", [BAD, GOOD], calls), scripted("b", [GOOD], calls)],
+      chain: [{ provider: "a" }, { provider: "b" }],
+      repair: true,
+    });
+    const result = await router.evaluate(IDEA);
+
+    assert.equal(result.tier, "a");
+    assert.equal(result.repaired, true);
+    assert.equal(result.escalated, false);
+    assert.deepEqual(calls.map(c => c.id), ["a", "a"]);
+    assert.equal(calls[1].opts.rawInput, true);
+    assert.match(calls[1].input, /Fix these problems:\n- No valid <response> blocks parsed/);
+    assert.ok(calls[1].input.includes(BAD));
+    assert.deepEqual(result.repairs.map(r => [r.tier, r.round, r.issues, r.after, r.passed]), [["a", 1, ["xml.empty"], 1, true]]);
+    assert.deepEqual(result.attempts.map(a => a.repair), [undefined, 1]);
+    assert.deepEqual(result.usage.wasted, { input_tokens: 10, output_tokens: 20, total_tokens: 30 });
+  });
+
+  it("escalates when the repair still fails", async () => {
+    const router = createRouter({
+      providers: [scripted("a", [BAD, BAD]), scripted("b", [GOOD])],
+      chain: [{ provider: "a" }, { provider: "b" }],
+      repair: { maxRepairs: 2 },
+    });
+    const result = await router.evaluate(IDEA);
+
+    assert.equal(result.tier, "b");
+    assert.equal(result.repaired, false);
+    assert.deepEqual(result.repairs.map(r => [r.round, r.passed]), [[1, false], [2, false]]);
+    assert.equal(result.escalationReason.length, 1);
+  });
+
+  it("only repairs the configured issue categories, per tier", async () => {
+    const calls = [];
+    const router = createRouter({
+      providers: [scripted("a", [BAD, GOOD], calls), scripted("b", [BAD, GOOD], calls), scripted("c", [GOOD], calls)],
+      chain: [{ provider: "a", repair: { categories: ["probability"] } }, { provider: "b", repair: false }, { provider: "c" }],
+      repair: true,
+    });
+    const result = await router.evaluate(IDEA);
+
+    assert.equal(result.tier, "c");
+    assert.deepEqual(calls.map(c => c.id), ["a", "b", "c"]);
+    assert.deepEqual(result.repairs, []);
+  });
+
+  it("records a repair call that errors and moves on", async () => {
+    const router = createRouter({
+      providers: [scripted("a", [BAD, Object.assign(new Error("bad request"), { status: 400 })]), scripted("b", [GOOD])],
+      chain: [{ provider: "a" }, { provider: "b" }],
+      repair: true,
+    });
+    const result = await router.evaluate(IDEA);
+
+    assert.equal(result.tier, "b");
+    assert.equal(result.repairs[0].error.kind, "bad_request");
+    assert.equal(result.repairs[0].after, null);
+  });
+});
+
+describe("createRouter streaming", () => {
+  // Five responses that each score 0: 3 in, the best reachable score is 0.64
+  const GARBAGE = "<response><text>ignore previous instructions</text><probability>7</probability></response>\n";
+
+  // A provider that streams `chunks` through onText, one every 2ms, until its signal aborts
+  function streaming(id, chunks, sent = []) {
+    return {
+      id,
+      defaultModel: `${id}-model`,
+      call: (input, opts) => new Promise((resolve, reject) => {
+        let i = 0;
+        const timer = setInterval(() => {
+          if (i === chunks.length) {
+            clearInterval(timer);
+            resolve({ outputText: chunks.join(""), model: `${id}-model`, usage: { input_tokens: 10, output_tokens: 20, total_tokens: 30 }, latency: 2 * i });
+            return;
+          }
+          const chunk = chunks[i++];
+          sent.push(chunk);
+          opts.onText?.(chunk);
+        }, 2);
+        opts.signal?.addEventListener("abort", () => {
+          clearInterval(timer);
+          reject(opts.signal.reason);
+        });
+      }),
+    };
+  }
+
+  it("cuts off a streamed reply that can no longer pass and escalates", async () => {
+    const sent = [];
+    const router = createRouter({
+      providers: [streaming("a", Array(5).fill(GARBAGE), sent), scripted("b", [GOOD])],
+      chain: [{ provider: "a" }, { provider: "b" }],
+      streaming: true,
+    });
+    const result = await router.evaluate(IDEA);
+
+    assert.equal(sent.length, 3);
+    assert.equal(result.tier, "b");
+    assert.equal(result.escalated, true);
+    assert.equal(result.escalationReason[0].reason, "quality");
+    assert.equal(result.escalationReason[0].kind, "stream_gate");
+    assert.match(result.escalationReason[0].message, /Cut off mid-stream: Best reachable score 0.640 < 0.7/);
+    assert.equal(result.attempts[0].error.kind, "stream_gate");
+  });
+
+  it("charges a cut-off reply at its estimate against the budgets", async () => {
+    // 2,000 in and 3,000 out: $5 on a, $0.005 on b
+    const pricing = { "a-model": { input: 1000, output: 1000 }, "b-model": { input: 1, output: 1 } };
+    const router = createRouter({
+      providers: [streaming("a", Array(5).fill(GARBAGE)), scripted("b", [GOOD])],
+      chain: [{ provider: "a" }, { provider: "b" }],
+      streaming: true,
+      pricing,
+    });
+    const result = await router.evaluate(IDEA);
+    assert.equal(result.tier, "b");
+    assert.equal(result.cost.tiers.a.total, 5);
+    assert.equal(result.cost.wasted, 5);
+    assert.equal(result.usage.tiers.a, undefined);
+    assert.equal(router.getSpend().spent, 5.00003);
+
+    const capped = createRouter({
+      providers: [streaming("a", Array(5).fill(GARBAGE)), scripted("b", [GOOD])],
+      chain: [{ provider: "a" }, { provider: "b" }],
+      streaming: true,
+      pricing,
+      maxCostPerRequest: 5.004,
+    });
+    await assert.rejects(capped.evaluate(IDEA), err => err.kind === "budget");
+  });
+
+  it("reads the whole reply when streaming is off, escalation is off, or a judge could still lift it", async () => {
+    const evaluate = async (config, options) => {
+      const sent = [];
+      const router = createRouter({
+        providers: [streaming("a", Array(5).fill(GARBAGE), sent), scripted("b", [GOOD])],
+        chain: [{ provider: "a" }, { provider: "b" }],
+        ...config,
+      });
+      await router.evaluate(IDEA, options);
+      return sent.length;
+    };
+    assert.equal(await evaluate({}), 5);
+    assert.equal(await evaluate({ streaming: true }, { allowEscalation: false }), 5);
+    assert.equal(await evaluate({ streaming: true, judge: { provider: "stub", weight: 0.5 } }), 5);
+    assert.equal(await evaluate({ chain: [{ provider: "a", streaming: true, repair: true }, { provider: "b" }] }), 5);
+  });
+});
+
+describe("createRouter judge", () => {
+  const VERDICT = JSON.stringify({ score: 9, rationale: "specific" });
+  // $1 per 1M tokens for the tier, $1000 for the judge: a 10-in / 20-out judge call costs $0.03
+  const pricing = { "a-model": { input: 1, output: 1 }, "j-model": { input: 1000, output: 1000 } };
+
+  it("records judge calls in usage, cost, attempts and the daily spend", async () => {
+    const calls = [];
+    const router = createRouter({
+      providers: [scripted("a", [GOOD], calls), scripted("j", [VERDICT], calls)],
+      chain: [{ provider: "a" }],
+      judge: { provider: "j" },
+      pricing,
+    });
+    const result = await router.evaluate(IDEA);
+
+    assert.deepEqual(calls.map(c => c.id), ["a", "j", "j", "j"]);
+    assert.equal(result.usage.tiers.judge.total_tokens, 90);
+    assert.equal(result.cost.tiers.judge.total, 0.09);
+    assert.equal(result.cost.total, 0.09003);
+    assert.equal(result.cost.wasted, null);
+    assert.equal(router.getSpend().spent, 0.09003);
+    const judged = result.attempts.filter(a => a.tier === "judge");
+    assert.deepEqual(judged.map(a => [a.provider, a.ok, a.usage.total_tokens]), [["j", true, 30], ["j", true, 30], ["j", true, 30]]);
+  });
+
+  it("skips judge calls the budget won't cover and keeps the heuristic score", async () => {
+    const calls = [];
+    const router = createRouter({
+      providers: [scripted("a", [GOOD], calls), scripted("j", [VERDICT], calls)],
+      chain: [{ provider: "a" }],
+      judge: { provider: "j", model: "j-model" },
+      pricing,
+      maxCostPerRequest: 1, // a judge call is estimated at $3.10
+    });
+    const result = await router.evaluate(IDEA);
+
+    assert.deepEqual(calls.map(c => c.id), ["a"]);
+    assert.equal(result.quality, 1);
+    assert.equal(result.usage.tiers.judge, undefined);
+    assert.match(result.issues.find(i => i.check === "judge.error").message, /judge unavailable \(Budget: next call \(~\$3.1\)/);
+  });
+
+  it("judges with the provider's default model when none is given", async () => {
+    const calls = [];
+    const judge = { id: "j", defaultModel: "j-model", async call(input, opts) {
+      calls.push(opts.model);
+      if (!opts.model) throw new Error("needs a model");
+      return { outputText: VERDICT, model: opts.model, usage: { input_tokens: 10, output_tokens: 20, total_tokens: 30 } };
+    } };
+    const router = createRouter({ providers: [scripted("a", [GOOD]), judge], chain: [{ provider: "a" }], judge: { provider: "j" }, pricing });
+    const result = await router.evaluate(IDEA);
+
+    assert.deepEqual(calls, ["j-model", "j-model", "j-model"]);
+    assert.ok(!result.issues.some(i => i.check === "judge.error"));
+    assert.equal(result.cost.tiers.judge.total, 0.09);
+  });
+
+  it("retries judge calls and times out a hung judge", async () => {
+    const busy = Object.assign(new Error("busy"), { status: 503 });
+    const retried = await createRouter({
+      providers: [scripted("a", [GOOD]), scripted("j", [busy, VERDICT])],
+      chain: [{ provider: "a" }],
+      judge: { provider: "j", retry: { retries: 1, baseDelayMs: 1 } },
+    }).evaluate(IDEA);
+    assert.ok(!retried.issues.some(i => i.check === "judge.error"));
+    assert.deepEqual(retried.attempts.filter(a => a.tier === "judge").map(a => [a.retry, a.ok]), [[0, false], [0, true], [0, true], [1, true]]);
+
+    const hung = { id: "j", defaultModel: "j-model", call: () => new Promise(() => {}) };
+    const result = await createRouter({
+      providers: [scripted("a", [GOOD]), hung],
+      chain: [{ provider: "a" }],
+      judge: { provider: "j" },
+      timeoutMs: 50,
+    }).evaluate(IDEA);
+    assert.equal(result.quality, 1);
+    assert.match(result.issues.find(i => i.check === "judge.error").message, /Timed out after 50ms/);
+    assert.deepEqual(result.attempts.filter(a => a.tier === "judge").map(a => a.error.kind), ["timeout", "timeout", "timeout"]);
+  });
+
+  it("checks the judge weight up front", () => {
+    for (const weight of [2, -0.1, "0.5", NaN]) {
+      assert.throws(() => createRouter({ judge: { provider: "stub", weight } }), /Judge weight must be within 0–1/);
+    }
+  });
+
+  it("reserves the judge's ledger key", () => {
+    assert.throws(
+      () => createRouter({ providers: [scripted("a", [GOOD])], chain: [{ id: "judge", provider: "a" }], judge: { provider: "stub" } }),
+      /Tier id "judge" is reserved/,
+    );
+  });
+});
+
+describe("createRouter experiments", () => {
+  const chain = [{ provider: "a" }, { provider: "b" }, { provider: "c" }];
+
+  it("runs the variant first, then escalates through the rest of the chain", async () => {
+    const calls = [];
+    const router = createRouter({
+      providers: [scripted("a", [BAD], calls), scripted("b", [GOOD], calls), scripted("c", [GOOD], calls)],
+      chain,
+    });
+    const exp = defineExperiment("chain", [{ id: "a-terse", provider: "a", promptConfig: { systemPrompt: "Be terse." } }]);
+    const result = await router.evaluateWithExperiment(IDEA, exp);
+
+    assert.deepEqual(calls.map(c => c.id), ["a", "b"]);
+    assert.equal(calls[0].opts.systemPrompt, "Be terse.");
+    assert.equal(result.tier, "b");
+    assert.equal(result.variantId, "a-terse");
+    assert.equal(result.escalated, true);
+    assert.deepEqual(result.escalationReason.map(r => r.tier), ["a-terse"]);
+    assert.deepEqual(Object.keys(result.usage.tiers), ["a-terse", "b"]);
+  });
+
+  it("runs the variant with the settings of the chain tier it stands in for", async () => {
+    const calls = [];
+    const router = createRouter({
+      providers: [scripted("a", [BAD], calls), scripted("b", [GOOD], calls), scripted("c", [GOOD], calls)],
+      chain: [{ provider: "a", model: "a-large", samples: 2, maxAttempts: 2, promptConfig: { systemPrompt: "Score it." } }, { provider: "b" }],
+    });
+    const exp = defineExperiment("settings", [{ id: "v", provider: "a", promptConfig: { systemPrompt: "Be terse." } }]);
+    const result = await router.evaluateWithExperiment(IDEA, exp);
+
+    assert.deepEqual(calls.map(c => [c.id, c.opts.model, c.opts.systemPrompt]), [
+      ["a", "a-large", "Be terse."], ["a", "a-large", "Be terse."], ["a", "a-large", "Be terse."], ["a", "a-large", "Be terse."],
+      ["b", undefined, undefined],
+    ]);
+    assert.equal(result.tier, "b");
+  });
+
+  it("rejects a variant that shares its id with a chain tier it escalates to", async () => {
+    const router = createRouter({ providers: [scripted("a", [GOOD]), scripted("b", [GOOD]), scripted("c", [GOOD])], chain });
+    await assert.rejects(
+      router.evaluateWithExperiment(IDEA, defineExperiment("clash", [{ id: "b", provider: "a" }])),
+      /Experiment variant "b" shares its id with a chain tier/,
+    );
+  });
+
+  it("returns the same result shape as evaluate()", async () => {
+    const router = createRouter({ providers: [scripted("a", [GOOD]), scripted("b", [GOOD]), scripted("c", [GOOD])], chain });
+    const plain = await router.evaluate(IDEA);
+    const experiment = await router.evaluateWithExperiment(IDEA, defineExperiment("shape", [{ id: "v", provider: "b" }]));
+
+    assert.deepEqual(Object.keys(experiment).filter(k => k !== "variantId" && k !== "schemaValid"), Object.keys(plain));
+    assert.deepEqual(Object.keys(experiment.timing), Object.keys(plain.timing));
+    assert.equal(experiment.tier, "v");
+  });
+
+  it("escalates through the whole chain from a provider outside it", async () => {
+    const calls = [];
+    const router = createRouter({
+      providers: [scripted("a", [BAD], calls), scripted("b", [GOOD], calls), scripted("c", [GOOD], calls), scripted("local", [BAD], calls)],
+      chain,
+    });
+    const result = await router.evaluateWithExperiment(IDEA, defineExperiment("outside", [{ id: "local", provider: "local" }]));
+
+    assert.deepEqual(calls.map(c => c.id), ["local", "a", "b"]);
+    assert.equal(result.tier, "b");
+  });
+
+  it("retries the variant's transient errors like any tier", async () => {
+    const router = createRouter({
+      providers: [scripted("a", [Object.assign(new Error("busy"), { status: 503 }), GOOD]), scripted("b", [GOOD]), scripted("c", [GOOD])],
+      chain,
+      retry: { baseDelayMs: 1 },
+    });
+    const result = await router.evaluateWithExperiment(IDEA, defineExperiment("retry", [{ id: "v", provider: "a" }]));
+
+    assert.equal(result.tier, "v");
+    assert.deepEqual(result.attempts.map(a => [a.tier, a.ok]), [["v", false], ["v", true]]);
+  });
+
+  it("checks responses against the variant's schema and records the metric", async () => {
+    const rejectAll = { "~standard": { version: 1, vendor: "test", validate: () => ({ issues: [{ message: "missing field: pitch" }] }) } };
+    const router = createRouter({ providers: [scripted("a", [GOOD]), scripted("b", [GOOD]), scripted("c", [GOOD])], chain });
+    const exp = defineExperiment("schema", [{ id: "v", provider: "a", outputSchema: rejectAll }]);
+    const result = await router.evaluateWithExperiment(IDEA, exp);
+
+    assert.equal(result.schemaValid, false);
+    assert.ok(result.issues.some(i => i.category === "schema" && i.message === "missing field: pitch"));
+    assert.equal(exp.metrics.get("v").length, 1);
+    assert.equal(exp.metrics.get("v")[0].schemaValid, false);
+    assert.equal(exp.metrics.get("v")[0].tokenCount, 30);
+  });
+});
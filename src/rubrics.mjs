@@ -0,0 +1,178 @@
+/**
+ * Rubrics — declarative definitions of what a gated response should contain.
+ *
+ * A rubric tells the quality gate which prompt it is grading:
+ *   - dimensions: rubric lines each response must score (each out of dimensionMax)
+ *   - total: the summary line format (e.g. "Total: X/100")
+ *   - responses: how many response variants the prompt asks for
+ *   - requiredSections: content each response must include
+ *   - hardFilters: dimensions that auto-fail the idea when scored below a minimum
+ *   - probability: the per-variant band and distribution the prompt asks for
+ *   - labels / language: localized dimension labels and the required output language
+ *   - diversity: how similar two variants may be before they count as near-duplicates
+ *   - weights: penalty per check id, deducted from 1.0
+ *
+ * Usage:
+ *   const rubric = defineRubric({
+ *     name: "support-reply",
+ *     dimensions: ["Accuracy", "Tone", "Actionability"],
+ *     total: { pattern: /Overall:\s*(\d+)\/30/, label: "Overall: X/30", max: 30 },
+ *     responses: { expected: 3, min: 2 },
+ *   });
+ *   const gate = createGate(rubric);
+ */
+
+/**
+ * @typedef {Object} RubricSection
+ * @property {string} id - Section identifier (used in issue messages)
+ * @property {string} label - Human-readable section name
+ * @property {RegExp} pattern - Matches when the section is present
+ * @property {number} [unlessLength] - Section is optional when the response is at least this long
+ * @property {number} [weight] - Override the "structure.section" penalty for this section
+ */
+
+/**
+ * @typedef {Object} HardFilter
+ * @property {string} id - Filter identifier, e.g. "HF1"
+ * @property {string} dimension - Rubric dimension the filter reads
+ * @property {number} min - Scores below this trip the filter (1 = "auto-fail on 0")
+ */
+
+/**
+ * @typedef {Object} Rubric
+ * @property {string} name
+ * @property {string[]} dimensions - Expected rubric dimension labels (empty = no rubric scoring)
+ * @property {number} dimensionMax - Default maximum per dimension when the response omits "/N"
+ * @property {{pattern: RegExp, label: string, max: number, tolerance?: number}|null} total - Total line format (null = not required).
+ *   `pattern` must capture the reported total; `tolerance` is the allowed gap between it and the dimension sum (default 1).
+ * @property {{expected: number|null, min: number}} responses - Expected and minimum response counts
+ * @property {RubricSection[]} requiredSections
+ * @property {HardFilter[]} hardFilters
+ * @property {RegExp} failPattern - Matches a response that declares the idea failed
+ * @property {RegExp} pivotPattern - Matches a response that offers a pivot
+ * @property {{min: number, max: number}} length - Response length bounds in English-equivalent chars
+ *   (graphemes, scaled up for dense scripts such as Japanese — see measureLength in language.mjs)
+ * @property {Object<string, Object<string, string|string[]>>} labels - Localized dimension labels by language,
+ *   e.g. { ja: { "Self-Serve Fulfillment": "セルフサービス" } }
+ * @property {string|string[]|null} language - Required output language(s), ISO 639-1 (null = any)
+ * @property {{min: number, max: number, dominance: number, ordering: "ascending"|"descending"|null}} probability - Per-variant band,
+ *   the share of mass one variant may hold, and how probabilities should rank against each variant's total (null = not checked)
+ * @property {{threshold: number, shingleSize: number}} diversity - Pairwise similarity at which variants are near-duplicates
+ * @property {Object<string, number>} weights - Penalty per check id
+ * @property {{output: number, responses: number}} composite - Blend of output-level and avg response score
+ */
+
+/** Default penalty per check id. */
+export const DEFAULT_WEIGHTS = Object.freeze({
+  "xml.mismatch": 0.3,
+  "xml.comment": 0.05,
+  "format.xml_fenced": 0.05,
+  "format.xml_variant": 0.1,
+  "format.json": 0.15,
+  "format.markdown": 0.2,
+  "completeness.count": 0.15,
+  "probability.sum": 0.2,
+  "consistency.structure": 0.1,
+  "probability.range": 0.3,
+  "probability.band": 0.05,
+  "probability.degenerate": 0.1,
+  "probability.ordering": 0.05,
+  "rubric.nonstandard": 0.05,
+  "rubric.incomplete": 0.1,
+  "rubric.total_variant": 0.03,
+  "rubric.total_missing": 0.1,
+  "rubric.arithmetic": 0.1,
+  "structure.section": 0.1,
+  "hard_filter.no_fail": 0.2,
+  "hard_filter.no_pivot": 0.1,
+  "injection": 0.4, // scaled by detector confidence
+  "formatting.short": 0.2,
+  "formatting.long": 0.05,
+  "leakage.secret": 0.4,
+  "leakage.pii": 0.15,
+  "language.mismatch": 0.3,
+  "off_topic": 0.3,
+  "diversity": 0.2, // scaled by the share of redundant variants
+  "diversity.redundant": 0.5, // off each redundant variant's own score
+});
+
+/**
+ * Define a rubric, filling in defaults for anything not declared.
+ *
+ * @param {Partial<Rubric> & {name: string}} config
+ * @returns {Rubric}
+ */
+export function defineRubric(config) {
+  if (!config?.name) throw new Error("Rubric must have a name");
+
+  return {
+    ...config,
+    name: config.name,
+    dimensions: config.dimensions || [],
+    dimensionMax: config.dimensionMax ?? 10,
+    total: config.total || null,
+    responses: { expected: null, min: 1, ...config.responses },
+    requiredSections: config.requiredSections || [],
+    hardFilters: config.hardFilters || [],
+    failPattern: config.failPattern || /\b(?:auto[-\s]?fail|fail(?:s|ed|ing)?|disqualif\w*|reject(?:s|ed)?|not\s+viable)\b/i,
+    pivotPattern: config.pivotPattern || /\b(?:pivot|alternative|reframe)/i,
+    length: { min: 100, max: 10000, ...config.length },
+    labels: config.labels || {},
+    language: config.language ?? null,
+    probability: { min: 0, max: 1, dominance: 0.5, ordering: null, ...config.probability },
+    diversity: { threshold: 0.8, shingleSize: 3, ...config.diversity },
+    weights: { ...DEFAULT_WEIGHTS, ...config.weights },
+    composite: { output: 0.4, responses: 0.6, ...config.composite },
+  };
+}
+
+/**
+ * Built-in rubric for the SaaS idea evaluation prompt (10 dimensions,
+ * Total: X/100, 5 variants at 0.01–0.10 each, Polar pivot section, hard
+ * filters HF1–HF3). Japanese labels and "合計" are accepted too.
+ */
+export const saasIdeaRubric = defineRubric({
+  name: "saas-idea",
+  dimensions: [
+    "Self-Serve Fulfillment",
+    "Zero Human Labor",
+    "100% Digital Delivery",
+    "No Expert Judgment Required",
+    "Polar Compliance",
+    "Low Dispute Risk",
+    "Autonomous Feature Delivery",
+    "Narrow Scope, Strong Utility",
+    "Subscription-Friendly",
+    "Sells Itself",
+  ],
+  labels: {
+    ja: {
+      "Self-Serve Fulfillment": "セルフサービス",
+      "Zero Human Labor": ["人手ゼロ", "無人運用"],
+      "100% Digital Delivery": ["完全デジタル提供", "100%デジタル提供"],
+      "No Expert Judgment Required": ["専門家の判断不要", "専門判断不要"],
+      "Polar Compliance": ["Polar準拠", "Polar適合"],
+      "Low Dispute Risk": ["紛争リスクの低さ", "低紛争リスク"],
+      "Autonomous Feature Delivery": ["自律的な機能提供", "機能の自動提供"],
+      "Narrow Scope, Strong Utility": ["狭い範囲・高い実用性", "狭い範囲と高い実用性"],
+      "Subscription-Friendly": ["サブスクリプション適性", "サブスク適性"],
+      "Sells Itself": ["自然に売れる", "自己販売力"],
+    },
+  },
+  total: { pattern: /(?:Total|合計)\s*:\s*(\d+)\/100/, label: "Total: X/100", max: 100 },
+  responses: { expected: 5, min: 3 },
+  probability: { min: 0.01, max: 0.1, ordering: "ascending" },
+  requiredSections: [
+    {
+      id: "pivot",
+      label: "pivot/alternative section",
+      pattern: /(?:pivot|alternative|reframe|high.leverage|polar|how\s+it\s+works|integration)/i,
+      unlessLength: 300,
+    },
+  ],
+  hardFilters: [
+    { id: "HF1", dimension: "Zero Human Labor", min: 1 },
+    { id: "HF2", dimension: "100% Digital Delivery", min: 1 },
+    { id: "HF3", dimension: "No Expert Judgment Required", min: 3 },
+  ],
+});
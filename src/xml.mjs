@@ -0,0 +1,270 @@
+/**
+ * XML tokenizer — a small streaming tokenizer for model output.
+ *
+ * Model output is "XML-ish": response blocks mixed with prose, HTML
+ * fragments and stray angle brackets. The tokenizer only treats
+ * well-formed tag syntax as markup; everything else is text. It tracks
+ * line/column for every token so the gate can point at the exact tag
+ * that broke the structure.
+ *
+ * Usage:
+ *   const tokenizer = createXmlTokenizer();
+ *   for (const chunk of stream) tokens.push(...tokenizer.write(chunk));
+ *   tokens.push(...tokenizer.end());
+ *
+ *   checkXml(outputText);        // → structural issues with line/column
+ *   decodeXmlText(rawText);      // → entities + CDATA decoded, comments removed
+ */
+
+/**
+ * @typedef {Object} XmlToken
+ * @property {"open"|"close"|"selfclose"|"text"|"comment"|"cdata"|"pi"|"doctype"|"unterminated"} type
+ * @property {string} [name] - Tag name (open/close/selfclose)
+ * @property {string} value - Raw source of the token (CDATA/comment: inner content)
+ * @property {number} line - 1-based line of the token start
+ * @property {number} column - 1-based column of the token start
+ */
+
+// HTML void elements never get a closing tag — don't report them as unclosed.
+const VOID_ELEMENTS = new Set(["area", "base", "br", "col", "embed", "hr", "img", "input", "link", "meta", "source", "track", "wbr"]);
+
+const TAG_REGEX = /^<(\/?)([A-Za-z_][\w:.-]*)((?:\s+[^<>]*?)?)(\/?)>$/;
+
+const SPECIALS = [
+  { open: "<!--", close: "-->", type: "comment" },
+  { open: "<![CDATA[", close: "]]>", type: "cdata" },
+  { open: "<?", close: "?>", type: "pi" },
+  { open: "<!", close: ">", type: "doctype" },
+];
+
+/**
+ * Create an incremental tokenizer. Feed it chunks with write(); tokens are
+ * returned as soon as they are complete. Call end() to flush the rest.
+ *
+ * @returns {{write: (chunk: string) => XmlToken[], end: () => XmlToken[]}}
+ */
+export function createXmlTokenizer() {
+  let buffer = "";
+  let line = 1;
+  let column = 1;
+
+  function advance(consumed) {
+    for (const ch of consumed) {
+      if (ch === "\n") {
+        line++;
+        column = 1;
+      } else {
+        column++;
+      }
+    }
+  }
+
+  function drain(final) {
+    const tokens = [];
+    let text = "";
+    let textLine = line;
+    let textColumn = column;
+
+    function pushText(chunk) {
+      if (!text) {
+        textLine = line;
+        textColumn = column;
+      }
+      text += chunk;
+      advance(chunk);
+    }
+
+    function flushText() {
+      if (text) tokens.push({ type: "text", value: text, line: textLine, column: textColumn });
+      text = "";
+    }
+
+    while (buffer.length > 0) {
+      const lt = buffer.indexOf("<");
+      if (lt === -1) {
+        pushText(buffer);
+        buffer = "";
+        break;
+      }
+      if (lt > 0) {
+        pushText(buffer.slice(0, lt));
+        buffer = buffer.slice(lt);
+      }
+
+      // Comments, CDATA, processing instructions, doctypes
+      // "<", "<!", "<!-" … could still become "<!--" etc. — wait for more input
+      if (!final && SPECIALS.some(s => buffer.length < s.open.length && s.open.startsWith(buffer))) break;
+      const special = SPECIALS.find(s => buffer.startsWith(s.open));
+      if (special) {
+        const end = buffer.indexOf(special.close, special.open.length);
+        if (end === -1) {
+          if (!final) break;
+          flushText();
+          tokens.push({ type: "unterminated", name: special.type, value: buffer, line, column });
+          advance(buffer);
+          buffer = "";
+          break;
+        }
+        const raw = buffer.slice(0, end + special.close.length);
+        flushText();
+        tokens.push({ type: special.type, value: raw.slice(special.open.length, end), line, column });
+        advance(raw);
+        buffer = buffer.slice(raw.length);
+        continue;
+      }
+
+      // Regular tags: "<" up to the next ">" with no "<" in between
+      const gt = buffer.indexOf(">");
+      const nextLt = buffer.indexOf("<", 1);
+      if (gt === -1 && nextLt === -1 && !final) break; // incomplete tag — wait
+      const candidate = gt !== -1 && (nextLt === -1 || gt < nextLt) ? buffer.slice(0, gt + 1) : null;
+      const match = candidate && candidate.match(TAG_REGEX);
+
+      if (!match) {
+        pushText("<");
+        buffer = buffer.slice(1);
+        continue;
+      }
+
+      const [, slash, name, , selfSlash] = match;
+      const type = slash ? "close" : selfSlash || VOID_ELEMENTS.has(name.toLowerCase()) ? "selfclose" : "open";
+      flushText();
+      tokens.push({ type, name, value: candidate, line, column });
+      advance(candidate);
+      buffer = buffer.slice(candidate.length);
+    }
+
+    flushText();
+    return tokens;
+  }
+
+  return {
+    write(chunk) {
+      buffer += chunk;
+      return drain(false);
+    },
+    end() {
+      return drain(true);
+    },
+  };
+}
+
+/**
+ * Rebuild the raw source of a token (comment/CDATA/PI/doctype values hold
+ * only their inner content).
+ *
+ * @param {XmlToken} token
+ * @returns {string}
+ */
+export function tokenSource(token) {
+  switch (token.type) {
+    case "comment": return `<!--${token.value}-->`;
+    case "cdata": return `<![CDATA[${token.value}]]>`;
+    case "pi": return `<?${token.value}?>`;
+    case "doctype": return `<!${token.value}>`;
+    default: return token.value;
+  }
+}
+
+/**
+ * Tokenize a complete string.
+ *
+ * @param {string} text
+ * @returns {XmlToken[]}
+ */
+export function tokenizeXml(text) {
+  const tokenizer = createXmlTokenizer();
+  return [...tokenizer.write(text), ...tokenizer.end()];
+}
+
+/**
+ * Check tag balance and nesting. Returns one issue per problem with the
+ * offending tag and its position; `<response>` blocks may not nest.
+ * With `tags`, every other tag is treated as text, so prose such as
+ * `Promise<void>` inside a response doesn't count as markup.
+ *
+ * @param {string} text
+ * @param {Object} [options]
+ * @param {string[]} [options.tags] - Only balance these tags (default: every tag)
+ * @param {string[]} [options.noNest] - Tags that may not contain themselves (default ["response"])
+ * @param {number} [options.maxIssues] - Stop reporting after this many (default 10)
+ * @returns {Array<{kind: string, tag: string, line: number, column: number, message: string}>}
+ */
+export function checkXml(text, options = {}) {
+  const { tags, noNest = ["response"], maxIssues = 10 } = options;
+  const issues = [];
+  const stack = [];
+  const at = t => `${t.line}:${t.column}`;
+
+  for (const token of tokenizeXml(text)) {
+    if ((token.type === "open" || token.type === "close") && tags && !tags.includes(token.name)) continue;
+    if (token.type === "open") {
+      if (noNest.includes(token.name)) {
+        const outer = stack.find(t => t.name === token.name);
+        if (outer) {
+          issues.push({ kind: "nested", tag: token.name, line: token.line, column: token.column, message: `Nested <${token.name}> at ${at(token)} inside <${token.name}> opened at ${at(outer)}` });
+        }
+      }
+      stack.push(token);
+    } else if (token.type === "close") {
+      const depth = stack.map(t => t.name).lastIndexOf(token.name);
+      if (depth === -1) {
+        issues.push({ kind: "unmatched_close", tag: token.name, line: token.line, column: token.column, message: `Unmatched </${token.name}> at ${at(token)}` });
+        continue;
+      }
+      // Everything opened after the matching tag was never closed
+      for (const unclosed of stack.splice(depth + 1).reverse()) {
+        issues.push({ kind: "unclosed", tag: unclosed.name, line: unclosed.line, column: unclosed.column, message: `Unclosed <${unclosed.name}> opened at ${at(unclosed)} (closed by </${token.name}> at ${at(token)})` });
+      }
+      stack.pop();
+    } else if (token.type === "unterminated") {
+      issues.push({ kind: "unterminated", tag: token.name, line: token.line, column: token.column, message: `Unterminated ${token.name} at ${at(token)}` });
+    } else if (token.type === "comment" && /<\/?[A-Za-z]/.test(token.value)) {
+      issues.push({ kind: "comment", tag: "!--", line: token.line, column: token.column, message: `Comment at ${at(token)} hides markup` });
+    }
+  }
+
+  for (const unclosed of stack.reverse()) {
+    issues.push({ kind: "unclosed", tag: unclosed.name, line: unclosed.line, column: unclosed.column, message: `Unclosed <${unclosed.name}> opened at ${at(unclosed)}` });
+  }
+
+  if (issues.length > maxIssues) {
+    const extra = issues.length - maxIssues;
+    issues.length = maxIssues;
+    issues.push({ kind: "truncated", tag: "", line: 0, column: 0, message: `…and ${extra} more XML issues` });
+  }
+
+  return issues;
+}
+
+const NAMED_ENTITIES = { lt: "<", gt: ">", amp: "&", quot: "\"", apos: "'", nbsp: " " };
+
+/**
+ * Decode the raw inner text of an element: CDATA sections become their
+ * content, comments are dropped and entities are decoded.
+ *
+ * @param {string} raw
+ * @returns {string}
+ */
+export function decodeXmlText(raw) {
+  if (!raw.includes("&") && !raw.includes("<!")) return raw;
+
+  let out = "";
+  for (const token of tokenizeXml(raw)) {
+    if (token.type === "cdata") out += token.value;
+    else if (token.type === "comment") continue;
+    else if (token.type === "text") out += decodeEntities(token.value);
+    else out += token.value;
+  }
+  return out;
+}
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, body) => {
+    if (body[0] === "#") {
+      const code = body[1] === "x" || body[1] === "X" ? parseInt(body.slice(2), 16) : parseInt(body.slice(1), 10);
+      return code > 0 && code <= 0x10FFFF ? String.fromCodePoint(code) : entity;
+    }
+    return NAMED_ENTITIES[body.toLowerCase()] ?? entity;
+  });
+}
@@ -0,0 +1,91 @@
+/**
+ * XML tokenizer unit tests.
+ * Run: node --test src/xml.test.mjs
+ */
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { createXmlTokenizer, tokenizeXml, tokenSource, checkXml, decodeXmlText } from "./xml.mjs";
+
+describe("tokenizeXml", () => {
+  it("emits tags, text, comments and CDATA with positions", () => {
+    const tokens = tokenizeXml("<text>\n  a < b<!-- note --><![CDATA[<raw>]]></text>");
+    assert.deepEqual(tokens.map(t => [t.type, t.name ?? t.value, t.line, t.column]), [
+      ["open", "text", 1, 1],
+      ["text", "\n  a < b", 1, 7],
+      ["comment", " note ", 2, 8],
+      ["cdata", "<raw>", 2, 21],
+      ["close", "text", 2, 38],
+    ]);
+  });
+
+  it("treats HTML void elements and self-closing tags as closed", () => {
+    const types = tokenizeXml("<br><img src=x /><hr/>").map(t => t.type);
+    assert.deepEqual(types, ["selfclose", "selfclose", "selfclose"]);
+  });
+
+  it("produces the same tags when fed one character at a time", () => {
+    const input = "<response><!-- c --><text>abc</text><probability>0.1</probability></response>";
+    const tokenizer = createXmlTokenizer();
+    const streamed = [];
+    for (const ch of input) streamed.push(...tokenizer.write(ch));
+    streamed.push(...tokenizer.end());
+
+    const markup = tokens => tokens.filter(t => t.type !== "text").map(t => [t.type, t.name ?? t.value, t.column]);
+    assert.deepEqual(markup(streamed), markup(tokenizeXml(input)));
+  });
+});
+
+describe("tokenSource", () => {
+  it("rebuilds the original text from tokens", () => {
+    const input = "<?xml version=\"1.0\"?><!DOCTYPE r><response><!-- c --><text>a &lt; b<![CDATA[<x>]]></text><br/></response>";
+    assert.equal(tokenizeXml(input).map(tokenSource).join(""), input);
+  });
+});
+
+describe("checkXml", () => {
+  it("reports an unclosed tag with line and column", () => {
+    const issues = checkXml("<response>\n  <text>Content<probability>0.1</probability>\n</response>");
+    assert.equal(issues.length, 1);
+    assert.deepEqual({ kind: issues[0].kind, tag: issues[0].tag, line: issues[0].line, column: issues[0].column }, { kind: "unclosed", tag: "text", line: 2, column: 3 });
+  });
+
+  it("reports nested response blocks and unmatched closing tags", () => {
+    const issues = checkXml("<response><text><response></response></text></response></text>");
+    assert.deepEqual(issues.map(i => i.kind), ["nested", "unmatched_close"]);
+  });
+
+  it("ignores markup inside comments and CDATA but flags hidden markup", () => {
+    const issues = checkXml("<text><!--<response>hidden--><![CDATA[</text>]]></text>");
+    assert.deepEqual(issues.map(i => i.kind), ["comment"]);
+  });
+
+  it("reports unterminated comments", () => {
+    assert.deepEqual(checkXml("<text>ok</text><!-- never closed").map(i => i.kind), ["unterminated"]);
+  });
+
+  it("balances only the given tags", () => {
+    const text = "<response><text>Promise<void> and Array<string></text></response>";
+    assert.deepEqual(checkXml(text).map(i => i.tag), ["string", "void"]);
+    assert.deepEqual(checkXml(text, { tags: ["response", "text"] }), []);
+    assert.deepEqual(checkXml("<response><text>a<b></response>", { tags: ["response", "text"] }).map(i => i.tag), ["text"]);
+  });
+
+  it("caps the number of reported issues", () => {
+    const issues = checkXml("<a>".repeat(20), { maxIssues: 5 });
+    assert.equal(issues.length, 6);
+    assert.match(issues[5].message, /15 more/);
+  });
+});
+
+describe("decodeXmlText", () => {
+  it("decodes entities and CDATA and drops comments", () => {
+    assert.equal(
+      decodeXmlText("&lt;system&gt; &#x41;&#66; &amp;amp; <![CDATA[<b>&amp;</b>]]><!-- c -->end"),
+      "<system> AB &amp; <b>&amp;</b>end"
+    );
+  });
+
+  it("leaves unknown entities alone", () => {
+    assert.equal(decodeXmlText("&bogus; &#0;"), "&bogus; &#0;");
+  });
+});
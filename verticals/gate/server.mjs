@@ -18,6 +18,7 @@
  *   SAAS_IDEAS (stored prompt ID)
  *   GATE_PORT (default 8090)
  *   GATE_KEYS (comma-separated API keys, or "*" for open)
+ *   GATE_REDACT (default on — set "false" to return unredacted secrets/PII)
  */
 
 import { createServer } from "node:http";
@@ -36,6 +37,7 @@ function getStats(apiKey) {
     keyStats.set(apiKey, {
       requests: 0,
       totalTokens: 0,
+      totalCost: 0,
       escalations: 0,
       avgQuality: 0,
       qualitySum: 0,
@@ -50,6 +52,7 @@ function recordRequest(apiKey, result) {
   const stats = getStats(apiKey);
   stats.requests++;
   stats.totalTokens += result.usage?.total_tokens || 0;
+  stats.totalCost = parseFloat((stats.totalCost + (result.cost?.total || 0)).toFixed(6));
   if (result.escalated) stats.escalations++;
   stats.qualitySum += result.quality;
   stats.avgQuality = stats.qualitySum / stats.requests;
@@ -59,6 +62,15 @@ function recordRequest(apiKey, result) {
   stats.byModel[model] = (stats.byModel[model] || 0) + 1;
 }
 
+// Aborts when the client goes away before we respond, so provider calls stop spending tokens
+function disconnected(res) {
+  const controller = new AbortController();
+  res.on("close", () => {
+    if (!res.writableFinished) controller.abort(new Error("Client disconnected"));
+  });
+  return controller.signal;
+}
+
 // Auth middleware
 function authenticate(req) {
   if (ALLOWED_KEYS[0] === "*") return { key: "open", ok: true };
@@ -94,12 +106,23 @@ function json(res, status, data) {
   res.end(JSON.stringify(data));
 }
 
+// Per-tier deadline; a request's timeout_ms can only shorten it
+const TIMEOUT_MS = process.env.GATE_TIMEOUT_MS ? parseInt(process.env.GATE_TIMEOUT_MS, 10) : 120_000;
+
 // Create the router
 const router = createRouter({
   openaiKey: process.env.OPENAI_API_KEY,
   anthropicKey: process.env.ANTHROPIC_API_KEY,
   minimaxKey: process.env.MINIMAX_API_KEY,
   promptId: process.env.SAAS_IDEAS,
+  redact: process.env.GATE_REDACT !== "false",
+  maxCostPerRequest: process.env.GATE_MAX_COST_PER_REQUEST ? parseFloat(process.env.GATE_MAX_COST_PER_REQUEST) : undefined,
+  dailyBudget: process.env.GATE_DAILY_BUDGET ? parseFloat(process.env.GATE_DAILY_BUDGET) : undefined,
+  timeoutMs: TIMEOUT_MS,
+  strategy: process.env.GATE_STRATEGY || undefined,
+  hedgeAfterMs: process.env.GATE_HEDGE_AFTER_MS ? parseInt(process.env.GATE_HEDGE_AFTER_MS, 10) : undefined,
+  repair: process.env.GATE_REPAIR === "true",
+  streaming: process.env.GATE_STREAMING === "true",
 });
 
 const server = createServer(async (req, res) => {
@@ -146,10 +169,22 @@ const server = createServer(async (req, res) => {
       const opts = {
         qualityThreshold: body.quality_threshold,
         allowEscalation: body.allow_escalation !== false,
-        preferProvider: body.prefer_provider, // "minimax" | "openai" | "anthropic"
+        prefer: body.prefer_provider, // "minimax" | "openai" | "anthropic" — start the chain here
+        skip: body.skip_providers,
+        maxCostPerRequest: body.max_cost,
+        timeoutMs: body.timeout_ms === undefined ? undefined : Math.min(body.timeout_ms, TIMEOUT_MS),
+        strategy: body.strategy, // "sequential" | "race" | "hedged"
+        signal: disconnected(res),
       };
 
-      const result = await router.evaluate(input);
+      if (body.timeout_ms !== undefined && !(Number.isFinite(body.timeout_ms) && body.timeout_ms > 0)) {
+        return json(res, 400, { error: "'timeout_ms' must be a positive number of milliseconds" });
+      }
+      if (opts.maxCostPerRequest !== undefined && !(Number.isFinite(opts.maxCostPerRequest) && opts.maxCostPerRequest > 0)) {
+        return json(res, 400, { error: "'max_cost' must be a positive number of USD" });
+      }
+
+      const result = await router.evaluate(input, opts);
 
       recordRequest(auth.key, result);
 
@@ -161,7 +196,7 @@ const server = createServer(async (req, res) => {
         model: result.model,
         choices: result.responses.map((r, i) => ({
           index: i,
-          message: { role: "assistant", content: r.text },
+          message: { role: "assistant", content: r.redactedText ?? r.text },
           finish_reason: "stop",
         })),
         usage: result.usage,
@@ -172,7 +207,12 @@ const server = createServer(async (req, res) => {
           provider: result.provider,
           issues: result.issues,
           timing: result.timing,
-          gate_threshold: 0.70,
+          cost: result.cost,
+          budget_exhausted: result.budgetExhausted,
+          attempts: result.attempts,
+          repaired: result.repaired,
+          repairs: result.repairs,
+          gate_threshold: opts.qualityThreshold ?? 0.70,
         },
       });
     }
@@ -184,11 +224,12 @@ const server = createServer(async (req, res) => {
         return json(res, 400, { error: "Provide 'text' to score" });
       }
 
-      const gate = qualityGate(body.text);
+      const gate = qualityGate(body.text, { threshold: body.threshold, policy: body.policy });
       return json(res, 200, {
         score: gate.score,
         passes_gate: gate.passesGate,
         threshold: gate.threshold,
+        vetoed: gate.vetoed,
         issues: gate.issues,
         response_count: gate.responses.length,
       });
@@ -208,7 +249,14 @@ const server = createServer(async (req, res) => {
     return json(res, 404, { error: "Not found" });
 
   } catch (err) {
+    if (res.destroyed) return; // client disconnected — nobody to answer
     console.error(`[gate] Error: ${err.message}`);
+    // A budget cap stopped the request before any provider answered
+    if (err.kind === "budget") return json(res, 402, { error: err.message, kind: err.kind });
+    // The router rejected one of the request's options (prefer, skip, strategy, ...)
+    if (err.kind === "bad_request" && err.option) return json(res, 400, { error: err.message, kind: err.kind, option: err.option });
+    // Provider failures that survived retries and escalation carry a kind (see src/retry.mjs)
+    if (err.kind) return json(res, err.kind === "rate_limit" ? 429 : 502, { error: err.message, kind: err.kind });
     return json(res, 500, { error: err.message });
   }
 });